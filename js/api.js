@@ -19,13 +19,27 @@ export class ApiError extends Error {
   }
 }
 
+// Operator key for /admin/* endpoints, set by the moderation console (admin/) only
+let apiKey = null;
+
+export function setApiKey(key) {
+  apiKey = key || null;
+}
+
+function headers() {
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
 async function request(method, path, body) {
   const opts = {
     method,
-    headers: {},
+    headers: headers(),
   };
 
-  if (body !== undefined) {
+  if (body instanceof FormData) {
+    // Let the browser set the multipart boundary
+    opts.body = body;
+  } else if (body !== undefined) {
     opts.headers['Content-Type'] = 'application/json';
     opts.body = JSON.stringify(body);
   }
@@ -48,6 +62,31 @@ export function apiPost(path, body) {
   return request('POST', path, body);
 }
 
+export function apiPatch(path, body) {
+  return request('PATCH', path, body);
+}
+
 export function apiDelete(path) {
   return request('DELETE', path);
 }
+
+/**
+ * Upload a file as multipart/form-data under the field name "file".
+ * @param {string} path
+ * @param {Blob} file
+ * @param {string} filename - Name sent to the server in place of the original
+ */
+export function apiUpload(path, file, filename) {
+  const form = new FormData();
+  form.append('file', file, filename);
+  return request('POST', path, form);
+}
+
+/**
+ * Fetch a binary response (e.g. an attachment) as a Blob.
+ */
+export async function apiGetBlob(path) {
+  const resp = await fetch(`${API_BASE}${path}`, { headers: headers() });
+  if (!resp.ok) throw new ApiError('Request failed', resp.status);
+  return resp.blob();
+}
@@ -0,0 +1,487 @@
+/**
+ * evidence.js — Screenshot and PDF attachments for report entries on status.html
+ * and anonymous tips on report.html.
+ *
+ * Images are re-encoded through a canvas before upload, which drops every
+ * metadata block (EXIF, GPS, camera and software tags) and bakes in any
+ * regions the reporter blacked out or pixelated in the redaction editor.
+ * Redactions are always applied to the original file, so editing them again
+ * never compounds. PDFs are uploaded unchanged; their document metadata is
+ * not touched, and the picker says so.
+ *
+ * Uploaded files carry generic names ("evidence-1.jpg"), never the name
+ * the file had on the reporter's device.
+ */
+
+import { apiUpload, apiGetBlob } from './api.js';
+
+const MAX_FILES = 5;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_IMAGE_EDGE = 2560;
+const JPEG_QUALITY = 0.9;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const PDF_TYPE = 'application/pdf';
+
+// Object URLs behind the thumbnails on the page, revoked on the next render
+let thumbUrls = [];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+
+const BUTTON_CLS =
+  'px-3 py-1.5 text-xs font-mono rounded border border-psn-border text-gray-400 ' +
+  'hover:text-white hover:border-gray-500 focus:outline-none focus:ring-2 focus:ring-psn-blue/50 transition-colors';
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ── Image processing ────────────────────────────────────────────────
+
+async function loadImage(file) {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.src = url;
+  try {
+    await img.decode();
+  } catch {
+    URL.revokeObjectURL(url);
+    throw new Error('This image could not be read.');
+  }
+  return { img, url };
+}
+
+function pixelate(ctx, region) {
+  const block = Math.max(8, Math.round(Math.max(ctx.canvas.width, ctx.canvas.height) / 80));
+  const w = Math.max(1, Math.round(region.w / block));
+  const h = Math.max(1, Math.round(region.h / block));
+  const small = document.createElement('canvas');
+  small.width = w;
+  small.height = h;
+  small.getContext('2d').drawImage(ctx.canvas, region.x, region.y, region.w, region.h, 0, 0, w, h);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, w, h, region.x, region.y, region.w, region.h);
+  ctx.imageSmoothingEnabled = true;
+}
+
+function applyRegions(ctx, regions) {
+  regions.forEach(region => {
+    if (region.mode === 'pixelate') {
+      pixelate(ctx, region);
+    } else {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(region.x, region.y, region.w, region.h);
+    }
+  });
+}
+
+/**
+ * Draw an image file onto a fresh canvas (downscaled to MAX_IMAGE_EDGE),
+ * apply redaction regions given in that canvas's pixel space, and encode it
+ * again. The result carries no metadata from the original file.
+ * @param {File} file
+ * @param {Array<{ x: number, y: number, w: number, h: number, mode: string }>} [regions]
+ * @returns {Promise<Blob>}
+ */
+export async function cleanImage(file, regions = []) {
+  const { img, url } = await loadImage(file);
+  try {
+    const scale = Math.min(1, MAX_IMAGE_EDGE / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    applyRegions(ctx, regions);
+
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, JPEG_QUALITY));
+    if (!blob) throw new Error('This image could not be processed.');
+    return blob;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// ── Redaction editor ────────────────────────────────────────────────
+
+/**
+ * Open a modal where the reporter drags rectangles over the parts of an
+ * image to hide. Resolves with the regions (in cleanImage's canvas space)
+ * or null if cancelled.
+ * @param {File} file
+ * @param {Array} [initial] - Regions from a previous edit
+ * @returns {Promise<Array|null>}
+ */
+export async function openRedactor(file, initial = []) {
+  const { img, url } = await loadImage(file);
+  const scale = Math.min(1, MAX_IMAGE_EDGE / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.round(img.naturalWidth * scale);
+  const height = Math.round(img.naturalHeight * scale);
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 z-[100]';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', 'redactor-title');
+  modal.innerHTML = `
+    <div class="absolute inset-0 bg-black/80 backdrop-blur-sm"></div>
+    <div class="absolute inset-3 md:inset-6 lg:inset-x-[10%] lg:inset-y-6 bg-psn-dark border border-psn-border
+                rounded-lg flex flex-col overflow-hidden shadow-2xl">
+      <div class="flex flex-wrap items-center justify-between gap-3 px-5 py-4 border-b border-psn-border flex-shrink-0">
+        <h2 id="redactor-title" class="font-mono font-bold text-white text-sm">Hide parts of this image</h2>
+        <div class="flex items-center gap-2">
+          <button type="button" data-mode="blackout" class="redact-mode ${BUTTON_CLS}">Black out</button>
+          <button type="button" data-mode="pixelate" class="redact-mode ${BUTTON_CLS}">Pixelate</button>
+          <button type="button" id="redact-undo" class="${BUTTON_CLS}">Undo</button>
+        </div>
+      </div>
+      <div class="flex-1 overflow-auto p-4 flex items-start justify-center">
+        <canvas class="max-w-full h-auto cursor-crosshair touch-none" style="max-height: 70vh"></canvas>
+      </div>
+      <div class="flex flex-wrap items-center justify-between gap-3 px-5 py-4 border-t border-psn-border flex-shrink-0">
+        <p class="text-gray-500 text-xs font-mono">
+          Drag over names, emails, IDs and faces. Black out is the safest choice for text.
+        </p>
+        <div class="flex items-center gap-2">
+          <button type="button" id="redact-cancel" class="${BUTTON_CLS}">Cancel</button>
+          <button type="button" id="redact-apply"
+                  class="px-4 py-1.5 bg-psn-blue text-white text-xs font-mono font-medium rounded
+                         hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-psn-blue/50 transition-colors">
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>`;
+
+  const canvas = modal.querySelector('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const regions = initial.map(r => ({ ...r }));
+  let mode = 'blackout';
+  let drag = null;
+
+  const draw = (preview) => {
+    ctx.drawImage(img, 0, 0, width, height);
+    applyRegions(ctx, regions);
+    if (preview) {
+      ctx.strokeStyle = '#0070d1';
+      ctx.lineWidth = Math.max(2, Math.round(width / 400));
+      ctx.strokeRect(preview.x, preview.y, preview.w, preview.h);
+    }
+  };
+
+  const setMode = (next) => {
+    mode = next;
+    modal.querySelectorAll('.redact-mode').forEach(btn => {
+      const on = btn.dataset.mode === mode;
+      btn.classList.toggle('border-psn-blue', on);
+      btn.classList.toggle('text-white', on);
+      btn.setAttribute('aria-pressed', String(on));
+    });
+  };
+
+  // Pointer position in canvas pixels (the canvas is scaled down by CSS)
+  const point = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(width, ((e.clientX - rect.left) / rect.width) * width)),
+      y: Math.max(0, Math.min(height, ((e.clientY - rect.top) / rect.height) * height)),
+    };
+  };
+
+  const toRegion = (a, b) => ({
+    x: Math.round(Math.min(a.x, b.x)),
+    y: Math.round(Math.min(a.y, b.y)),
+    w: Math.round(Math.abs(b.x - a.x)),
+    h: Math.round(Math.abs(b.y - a.y)),
+    mode,
+  });
+
+  canvas.addEventListener('pointerdown', (e) => {
+    drag = point(e);
+    canvas.setPointerCapture(e.pointerId);
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (drag) draw(toRegion(drag, point(e)));
+  });
+  canvas.addEventListener('pointerup', (e) => {
+    if (!drag) return;
+    const region = toRegion(drag, point(e));
+    drag = null;
+    if (region.w >= 4 && region.h >= 4) regions.push(region);
+    draw();
+  });
+
+  modal.querySelectorAll('.redact-mode').forEach(btn => {
+    btn.addEventListener('click', () => setMode(btn.dataset.mode));
+  });
+  modal.querySelector('#redact-undo').addEventListener('click', () => {
+    regions.pop();
+    draw();
+  });
+
+  setMode(mode);
+  draw();
+  document.body.appendChild(modal);
+  document.body.style.overflow = 'hidden';
+  modal.querySelector('#redact-apply').focus();
+
+  return new Promise(resolve => {
+    const close = (result) => {
+      document.removeEventListener('keydown', onKey);
+      modal.remove();
+      document.body.style.overflow = '';
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+    document.addEventListener('keydown', onKey);
+    modal.querySelector('#redact-cancel').addEventListener('click', () => close(null));
+    modal.querySelector('#redact-apply').addEventListener('click', () => close(regions));
+  });
+}
+
+// ── Picker ──────────────────────────────────────────────────────────
+
+/**
+ * Markup for the attachment picker inside the entry form.
+ * @returns {string}
+ */
+export function renderAttachmentPicker() {
+  return `
+    <div id="entry-attachments" class="mt-4">
+      <div class="flex flex-wrap items-center gap-3">
+        <label class="${BUTTON_CLS} cursor-pointer">
+          Attach screenshots or PDFs
+          <input id="attachment-input" type="file" multiple class="sr-only"
+                 accept="${[...IMAGE_TYPES, PDF_TYPE].join(',')}">
+        </label>
+        <span class="text-gray-600 text-xs font-mono">
+          Up to ${MAX_FILES} files, ${formatSize(MAX_FILE_SIZE)} each. Photo metadata (including location) is removed before upload.
+        </span>
+      </div>
+      <ul id="attachment-list" class="mt-3 grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-3"></ul>
+      <p id="attachment-error" class="text-amber-400 text-xs font-mono mt-2 hidden"></p>
+    </div>`;
+}
+
+/**
+ * Wire the picker rendered by renderAttachmentPicker(). Returns an object
+ * whose upload(token) sends every pending file not yet uploaded and
+ * resolves with all their attachment ids, and whose clear() empties the list.
+ * resetUploads() forgets earlier uploads so the next upload() sends every
+ * file again, for when the token they were sent under is no longer valid.
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {string} [uploadPath] - Endpoint the files are posted to, with
+ *   `?token=` appended (anonymous tips use their own)
+ * @returns {{ upload(token: string): Promise<string[]>, resetUploads(): void, clear(): void, pending(): number }}
+ */
+export function wireAttachmentPicker(root, uploadPath = '/report/attachments') {
+  const input = root.querySelector('#attachment-input');
+  const list = root.querySelector('#attachment-list');
+  const errorEl = root.querySelector('#attachment-error');
+  const items = [];
+
+  const showError = (msg) => {
+    errorEl.textContent = msg;
+    errorEl.classList.toggle('hidden', !msg);
+  };
+
+  const renderList = () => {
+    list.innerHTML = '';
+    items.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.className = 'bg-psn-dark border border-psn-border rounded p-2 flex flex-col gap-2';
+      const preview = item.previewUrl
+        ? `<img src="${item.previewUrl}" alt="" class="w-full h-24 object-cover rounded">`
+        : `<div class="w-full h-24 rounded bg-psn-surface flex items-center justify-center text-gray-500 text-xs font-mono">PDF</div>`;
+      li.innerHTML = `
+        ${preview}
+        <span class="text-gray-500 text-[11px] font-mono">${formatSize(item.blob.size)}${item.regions.length ? ` &middot; ${item.regions.length} hidden` : ''}</span>
+        ${item.isPdf ? '<span class="text-amber-400/80 text-[11px] font-mono">PDF metadata is not removed</span>' : ''}
+        <div class="flex gap-2 text-xs font-mono">
+          ${item.isPdf ? '' : '<button type="button" class="attachment-redact text-psn-blue hover:text-blue-400 transition-colors">Redact</button>'}
+          <button type="button" class="attachment-remove text-gray-600 hover:text-red-400 transition-colors">Remove</button>
+        </div>`;
+
+      li.querySelector('.attachment-remove').addEventListener('click', () => {
+        if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        items.splice(i, 1);
+        renderList();
+      });
+
+      li.querySelector('.attachment-redact')?.addEventListener('click', async () => {
+        showError('');
+        try {
+          const regions = await openRedactor(item.file, item.regions);
+          if (!regions) return;
+          // Only take the new regions once the cleaned image exists
+          const blob = await cleanImage(item.file, regions);
+          item.regions = regions;
+          item.blob = blob;
+          item.id = null;
+          URL.revokeObjectURL(item.previewUrl);
+          item.previewUrl = URL.createObjectURL(item.blob);
+          renderList();
+        } catch (err) {
+          showError(`Could not redact this image: ${err.message}`);
+          console.error('Redact error:', err);
+        }
+      });
+
+      list.appendChild(li);
+    });
+  };
+
+  input.addEventListener('change', async () => {
+    showError('');
+    const files = [...input.files];
+    input.value = '';
+
+    for (const file of files) {
+      if (items.length >= MAX_FILES) {
+        showError(`You can attach up to ${MAX_FILES} files.`);
+        break;
+      }
+      const isPdf = file.type === PDF_TYPE;
+      if (!isPdf && !IMAGE_TYPES.includes(file.type)) {
+        showError(`${file.name}: only JPEG, PNG, WebP and PDF files can be attached.`);
+        continue;
+      }
+      if (file.size > MAX_FILE_SIZE) {
+        showError(`${file.name} is larger than ${formatSize(MAX_FILE_SIZE)}.`);
+        continue;
+      }
+      try {
+        const blob = isPdf ? file : await cleanImage(file);
+        items.push({
+          file,
+          blob,
+          isPdf,
+          regions: [],
+          previewUrl: isPdf ? null : URL.createObjectURL(blob),
+        });
+      } catch (err) {
+        showError(`${file.name}: ${err.message}`);
+      }
+    }
+    renderList();
+  });
+
+  return {
+    pending: () => items.length,
+
+    async upload(token) {
+      const ids = [];
+      for (const [i, item] of items.entries()) {
+        // Already uploaded on an earlier attempt whose entry post failed
+        if (!item.id) {
+          const type = item.isPdf ? PDF_TYPE : item.blob.type;
+          const name = `evidence-${i + 1}.${EXTENSIONS[type] || 'bin'}`;
+          const data = await apiUpload(`${uploadPath}?token=${encodeURIComponent(token)}`, item.blob, name);
+          item.id = data.id;
+        }
+        ids.push(item.id);
+      }
+      return ids;
+    },
+
+    resetUploads() {
+      items.forEach(item => { item.id = null; });
+    },
+
+    clear() {
+      items.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+      items.length = 0;
+      renderList();
+      showError('');
+    },
+  };
+}
+
+// ── Thumbnails ──────────────────────────────────────────────────────
+
+/**
+ * Thumbnails for an entry's attachments, each opening the full file. They
+ * are empty until wireAttachmentThumbs() loads them.
+ * @param {Array<{ id: string, type: string }>} attachments
+ * @returns {string}
+ */
+export function renderAttachmentThumbs(attachments) {
+  if (!attachments || attachments.length === 0) return '';
+  const thumbs = attachments.map((a, i) => {
+    const inner = a.type === PDF_TYPE
+      ? `<span class="w-20 h-20 rounded bg-psn-dark border border-psn-border flex items-center justify-center
+                      text-gray-500 text-xs font-mono">PDF</span>`
+      : `<img alt="Attachment ${i + 1}" class="w-20 h-20 object-cover rounded border border-psn-border bg-psn-dark">`;
+    return `<button type="button" class="attachment-thumb block hover:opacity-80 transition-opacity"
+                    data-attachment-id="${escapeHtml(a.id)}" aria-label="Open attachment ${i + 1}">${inner}</button>`;
+  }).join('');
+  return `<div class="flex flex-wrap gap-2 mt-3">${thumbs}</div>`;
+}
+
+/**
+ * Load the thumbnails under `root` and open files on click, fetching each
+ * with apiGetBlob() into an object URL. The token goes in the request only,
+ * never into an <img src> or a link, so it stays out of the address bar,
+ * history and Referer. Object URLs from the previous render are revoked.
+ * @param {HTMLElement} root
+ * @param {string} token
+ */
+export function wireAttachmentThumbs(root, token) {
+  thumbUrls.forEach(url => URL.revokeObjectURL(url));
+  thumbUrls = [];
+
+  root.querySelectorAll('.attachment-thumb').forEach((btn) => {
+    const path = `/report/attachments/${encodeURIComponent(btn.dataset.attachmentId)}?token=${encodeURIComponent(token)}`;
+    let loading = null;
+    const load = () => {
+      loading ||= apiGetBlob(path).then((blob) => {
+        const url = URL.createObjectURL(blob);
+        thumbUrls.push(url);
+        return url;
+      }).catch((err) => {
+        loading = null;
+        throw err;
+      });
+      return loading;
+    };
+
+    const img = btn.querySelector('img');
+    if (img) {
+      load()
+        .then((url) => { img.src = url; })
+        .catch((err) => {
+          img.alt = 'Attachment could not be loaded';
+          console.error('Attachment load error:', err);
+        });
+    }
+
+    btn.addEventListener('click', async () => {
+      try {
+        window.open(await load(), '_blank', 'noopener');
+      } catch (err) {
+        btn.title = 'Could not open this attachment. Reload the page and try again.';
+        console.error('Attachment open error:', err);
+      }
+    });
+  });
+}
@@ -2,8 +2,31 @@
  * flowchart.js — Renders an interactive flowchart from a JSON data file.
  * Vanilla JS, no dependencies. Driven by a tree of nodes with types,
  * labels, expandable detail text, and sequential/choice child modes.
+ * Labels and details may be per-locale objects (see i18n.js).
+ *
+ * The same tree can also be walked one node at a time in a wizard: choice
+ * children become buttons, sequential children numbered steps with
+ * Next/Back, and the path taken is shown as a breadcrumb.
+ *
+ * `action` nodes can be checked off in either view. Progress is kept in
+ * localStorage per data file, keyed by node id, so it survives edits to the
+ * tree that keep ids stable. Sections show how many of their actions are
+ * done, and a banner offers to resume at the next unchecked action.
+ *
+ * Every card can be linked to: account-recovery.html#hacked.prepare opens
+ * the sections above that node, expands it and scrolls to it.
+ *
+ * The tree view follows the WAI-ARIA tree pattern: nodes are treeitems with
+ * a roving tabindex, arrow keys move between them, Enter/Space toggles, and
+ * expand/collapse is announced through a polite live region.
+ *
+ * The search box above the tree matches labels and detail text, highlights
+ * the hits, opens the sections and details they are in, and steps through
+ * them with Enter / Shift+Enter.
  */
 
+import { localize } from './i18n.js';
+
 // ── Inline SVG Icons ────────────────────────────────────────────────
 
 const ICONS = {
@@ -22,8 +45,22 @@ const ICONS = {
   section: `<svg viewBox="0 0 20 20" fill="currentColor" class="text-violet-500">
     <path d="M2 6a2 2 0 012-2h5l2 2h5a2 2 0 012 2v6a2 2 0 01-2 2H4a2 2 0 01-2-2V6z"/>
   </svg>`,
+  link: `<svg viewBox="0 0 20 20" fill="currentColor">
+    <path fill-rule="evenodd" d="M12.586 4.586a2 2 0 112.828 2.828l-3 3a2 2 0 01-2.828 0 1 1 0 00-1.414 1.414 4 4 0 005.656 0l3-3a4 4 0 00-5.656-5.656l-1.5 1.5a1 1 0 101.414 1.414l1.5-1.5zm-5 5a2 2 0 012.828 0 1 1 0 101.414-1.414 4 4 0 00-5.656 0l-3 3a4 4 0 105.656 5.656l1.5-1.5a1 1 0 10-1.414-1.414l-1.5 1.5a2 2 0 11-2.828-2.828l3-3z" clip-rule="evenodd"/>
+  </svg>`,
 };
 
+const VIEW_KEY = 'flowchart-view';
+const PROGRESS_PREFIX = 'flowchart-progress:';
+const SEARCH_DELAY = 150;
+const SEARCH_MIN_LENGTH = 2;
+
+// Checked-off action ids for the loaded data file; see loadProgress()
+let progress = { key: null, done: {}, last: null };
+
+// Live region for expand/collapse announcements; created by initFlowchart()
+let announcer = null;
+
 // ── Rendering ───────────────────────────────────────────────────────
 
 /**
@@ -39,11 +76,13 @@ export async function initFlowchart(containerId, dataUrl) {
     const resp = await fetch(dataUrl);
     if (!resp.ok) throw new Error(`Failed to load flowchart data: ${resp.status}`);
     const data = await resp.json();
+    loadProgress(dataUrl);
 
     // Clear loading indicator
     container.innerHTML = '';
 
-    // Flowchart content is English-only; force LTR to avoid RTL layout issues
+    // The connector layout is LTR-only; force LTR on the tree and let each
+    // label and detail pick its own text direction (dir="auto")
     container.dir = 'ltr';
     container.style.textAlign = 'left';
 
@@ -51,9 +90,51 @@ export async function initFlowchart(containerId, dataUrl) {
     const rootEl = renderNode(data.root, 0, 0, '');
     container.appendChild(rootEl);
 
+    // ARIA tree semantics and keyboard navigation
+    container.setAttribute('role', 'tree');
+    container.setAttribute('aria-label', localize(data.meta?.title) || 'Flowchart');
+    announcer = document.createElement('div');
+    announcer.className = 'sr-only';
+    announcer.setAttribute('aria-live', 'polite');
+    container.after(announcer);
+    container.querySelectorAll('.flow-node').forEach(syncExpanded);
+    setActive(rootEl);
+    setupKeyboard(container);
+
     // Set up expand/collapse all
     setupExpandAll(container);
 
+    // Tree / step-by-step switch
+    const wizard = setupViewToggle(container, data.root);
+
+    // Search box above the tree
+    const search = setupSearch(container);
+
+    // Checkboxes, section counters and the resume banner
+    const banner = document.getElementById('flowchart-progress');
+    const showProgress = () => {
+      updateProgress(container, data.root);
+      if (banner) renderProgressBanner(banner, container, data.root, wizard);
+    };
+    showProgress();
+    document.addEventListener('flowprogress', (e) => {
+      showProgress();
+      // The wizard redraws itself when it made the change
+      if (e.detail?.source !== 'wizard') wizard?.render(false);
+    });
+
+    // Open the node named in the URL hash, now and when the hash changes
+    openFromHash(container, wizard);
+    window.addEventListener('hashchange', () => openFromHash(container, wizard));
+
+    // Swap node text in place on language change, keeping expanded state
+    document.addEventListener('languagechange', () => {
+      relabel(container, data.root);
+      search?.refresh();
+      wizard?.render(false);
+      showProgress();
+    });
+
   } catch (err) {
     container.innerHTML = `
       <div class="text-center text-red-400 py-12 font-mono text-sm">
@@ -78,6 +159,11 @@ function renderNode(node, depth, index, treeNumber) {
   el.dataset.nodeId = node.id;
   el.dataset.depth = depth;
   el.dataset.expanded = 'false';
+  el.setAttribute('role', 'treeitem');
+  el.setAttribute('aria-level', depth + 1);
+  el.setAttribute('aria-labelledby', `flow-label-${node.id}`);
+  if (node.detail) el.setAttribute('aria-describedby', `flow-detail-${node.id}`);
+  el.tabIndex = -1;
 
   // Build the card
   const card = createCard(node, depth, index, treeNumber);
@@ -90,11 +176,13 @@ function renderNode(node, depth, index, treeNumber) {
     // Connector stub
     const stub = document.createElement('div');
     stub.className = 'flow-connector-stub';
+    stub.setAttribute('aria-hidden', 'true');
     el.appendChild(stub);
 
     // Children container
     const childrenEl = document.createElement('div');
     childrenEl.className = `flow-children flow-children--${mode}`;
+    childrenEl.setAttribute('role', 'group');
 
     node.children.forEach((child, i) => {
       const childNumber = treeNumber
@@ -104,7 +192,10 @@ function renderNode(node, depth, index, treeNumber) {
       if (mode === 'choice' && i > 0) {
         childrenEl.appendChild(createChoiceDivider());
       }
-      childrenEl.appendChild(renderNode(child, depth + 1, i, childNumber));
+      const childEl = renderNode(child, depth + 1, i, childNumber);
+      childEl.setAttribute('aria-setsize', node.children.length);
+      childEl.setAttribute('aria-posinset', i + 1);
+      childrenEl.appendChild(childEl);
     });
 
     el.appendChild(childrenEl);
@@ -150,9 +241,32 @@ function createCard(node, depth, index, treeNumber) {
   // Label
   const label = document.createElement('span');
   label.className = 'flow-card__label';
-  label.textContent = node.label;
+  label.id = `flow-label-${node.id}`;
+  label.dir = 'auto';
+  label.textContent = localize(node.label);
   header.appendChild(label);
 
+  // Actions can be checked off; sections count their checked actions
+  if (node.type === 'action') {
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.className = 'flow-card__check';
+    check.setAttribute('aria-label', `Done: ${localize(node.label)}`);
+    // Reachable by Tab only inside the focused treeitem; see setActive()
+    check.tabIndex = -1;
+    check.addEventListener('click', (e) => e.stopPropagation());
+    check.addEventListener('change', () => setDone(node.id, check.checked, 'tree'));
+    header.appendChild(check);
+  } else if (node.type === 'section' && countActions(node).total > 0) {
+    const counter = document.createElement('span');
+    counter.className = 'flow-card__progress';
+    header.appendChild(counter);
+  }
+
+  const linkBtn = createLinkButton(node, treeNumber);
+  linkBtn.tabIndex = -1;
+  header.appendChild(linkBtn);
+
   card.appendChild(header);
 
   // Hover badge — floats top-right, appears only on mouse hover
@@ -178,34 +292,23 @@ function createCard(node, depth, index, treeNumber) {
 
     const detailInner = document.createElement('div');
     detailInner.className = 'flow-card__detail-inner';
-    detailInner.textContent = node.detail;
+    detailInner.id = `flow-detail-${node.id}`;
+    detailInner.dir = 'auto';
+    detailInner.textContent = localize(node.detail);
     detail.appendChild(detailInner);
     card.appendChild(detail);
   }
 
   // Click handling — section nodes toggle children, others toggle detail
-  const isSection = node.type === 'section' && node.children && node.children.length > 0;
-  const hasDetail = !!node.detail;
-
   header.addEventListener('click', () => {
-    const nodeEl = card.closest('.flow-node');
-    if (isSection) {
-      toggleSection(nodeEl);
-    } else if (hasDetail) {
-      toggleDetail(nodeEl);
-    }
+    toggleNode(card.closest('.flow-node'));
   });
 
   // Clicking the detail text also collapses it
-  if (hasDetail) {
+  if (node.detail) {
     const detail = card.querySelector('.flow-card__detail');
     detail.addEventListener('click', () => {
-      const nodeEl = card.closest('.flow-node');
-      if (isSection) {
-        toggleSection(nodeEl);
-      } else {
-        toggleDetail(nodeEl);
-      }
+      toggleNode(card.closest('.flow-node'));
     });
   }
 
@@ -214,10 +317,49 @@ function createCard(node, depth, index, treeNumber) {
 
 // ── Expand / Collapse ───────────────────────────────────────────────
 
+function isCollapsibleSection(nodeEl) {
+  return nodeEl.classList.contains('flow-node--section') && !!nodeEl.querySelector(':scope > .flow-children');
+}
+
+/**
+ * Toggles a node the way clicking its header does, and announces the result.
+ */
+function toggleNode(nodeEl) {
+  const label = nodeEl.querySelector(':scope > .flow-card .flow-card__label').textContent;
+  if (isCollapsibleSection(nodeEl)) {
+    toggleSection(nodeEl);
+    announce(`${label}: ${nodeEl.getAttribute('aria-expanded') === 'true' ? 'expanded' : 'collapsed'}`);
+  } else if (nodeEl.querySelector(':scope > .flow-card > .flow-card__detail')) {
+    toggleDetail(nodeEl);
+    announce(`${label}: details ${nodeEl.dataset.expanded === 'true' ? 'shown' : 'hidden'}`);
+  }
+}
+
+/**
+ * Mirrors a node's expanded state into aria-expanded. Sections report their
+ * children; nodes with always-visible children are always expanded; leaves
+ * report their detail text.
+ */
+function syncExpanded(nodeEl) {
+  const childrenEl = nodeEl.querySelector(':scope > .flow-children');
+  if (isCollapsibleSection(nodeEl)) {
+    const open = !childrenEl.classList.contains('flow-children--collapsed');
+    nodeEl.setAttribute('aria-expanded', String(open));
+    childrenEl.setAttribute('aria-hidden', String(!open));
+  } else if (childrenEl) {
+    nodeEl.setAttribute('aria-expanded', 'true');
+  } else if (nodeEl.querySelector(':scope > .flow-card > .flow-card__detail')) {
+    nodeEl.setAttribute('aria-expanded', String(nodeEl.dataset.expanded === 'true'));
+  }
+}
+
 /**
  * Toggles the detail text of a node card.
+ * @param {HTMLElement} nodeEl
+ * @param {object} [opts]
+ * @param {boolean} [opts.scroll=true] - Scroll an expanded card into view if it runs off screen
  */
-function toggleDetail(nodeEl) {
+function toggleDetail(nodeEl, { scroll = true } = {}) {
   const detail = nodeEl.querySelector('.flow-card__detail');
   if (!detail) return;
 
@@ -232,6 +374,7 @@ function toggleDetail(nodeEl) {
     nodeEl.dataset.expanded = 'false';
     detail.setAttribute('aria-hidden', 'true');
     if (badge && badge.dataset.role === 'detail') badge.textContent = 'show';
+    syncExpanded(nodeEl);
   } else {
     // Expand
     detail.style.height = '0';
@@ -244,9 +387,10 @@ function toggleDetail(nodeEl) {
     nodeEl.dataset.expanded = 'true';
     detail.setAttribute('aria-hidden', 'false');
     if (badge && badge.dataset.role === 'detail') badge.textContent = 'hide';
+    syncExpanded(nodeEl);
 
     // Scroll into view if card goes below viewport
-    requestAnimationFrame(() => {
+    if (scroll) requestAnimationFrame(() => {
       const rect = nodeEl.getBoundingClientRect();
       if (rect.bottom > window.innerHeight) {
         nodeEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -274,6 +418,7 @@ function toggleSection(nodeEl) {
     if (nodeEl.dataset.expanded === 'false' && nodeEl.querySelector('.flow-card__detail')) {
       toggleDetail(nodeEl);
     }
+    syncExpanded(nodeEl);
   } else {
     childrenEl.classList.add('flow-children--collapsed');
     if (stubEl) stubEl.style.display = 'none';
@@ -282,6 +427,7 @@ function toggleSection(nodeEl) {
     if (nodeEl.dataset.expanded === 'true') {
       toggleDetail(nodeEl);
     }
+    syncExpanded(nodeEl);
   }
 }
 
@@ -319,6 +465,8 @@ function setupExpandAll(container) {
       });
       btn.textContent = 'Expand All';
       allExpanded = false;
+      container.querySelectorAll('.flow-node').forEach(syncExpanded);
+      announce('All steps collapsed');
     } else {
       // Expand all sections first
       container.querySelectorAll('.flow-children--collapsed').forEach((ch) => {
@@ -339,18 +487,710 @@ function setupExpandAll(container) {
       });
       btn.textContent = 'Collapse All';
       allExpanded = true;
+      container.querySelectorAll('.flow-node').forEach(syncExpanded);
+      announce('All steps expanded');
+    }
+  });
+}
+
+// ── Keyboard ────────────────────────────────────────────────────────
+
+function headerControls(nodeEl) {
+  return nodeEl.querySelectorAll(':scope > .flow-card > .flow-card__header > :is(.flow-card__check, .flow-card__link)');
+}
+
+/**
+ * Makes `nodeEl` the one treeitem in the tab order (roving tabindex). Its
+ * checkbox and link button follow it into the tab order.
+ */
+function setActive(nodeEl) {
+  const tree = nodeEl.closest('[role="tree"]');
+  tree.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach((el) => {
+    el.tabIndex = -1;
+    headerControls(el).forEach((c) => { c.tabIndex = -1; });
+  });
+  nodeEl.tabIndex = 0;
+  headerControls(nodeEl).forEach((c) => { c.tabIndex = 0; });
+}
+
+/** Treeitems not inside a collapsed section, in document order. */
+function visibleItems(container) {
+  return [...container.querySelectorAll('[role="treeitem"]')]
+    .filter((el) => !el.parentElement.closest('.flow-children--collapsed'));
+}
+
+/**
+ * Arrow keys move between treeitems, Right/Left expand, collapse or move to
+ * the first child/parent, Home/End jump to the ends, Enter/Space toggle.
+ */
+function setupKeyboard(container) {
+  container.addEventListener('focusin', (e) => {
+    const item = e.target.closest('[role="treeitem"]');
+    if (item && item.tabIndex !== 0) setActive(item);
+  });
+
+  container.addEventListener('keydown', (e) => {
+    const item = e.target;
+    // Keys inside the checkbox and link button keep their usual meaning
+    if (item.getAttribute('role') !== 'treeitem' || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const items = visibleItems(container);
+    const i = items.indexOf(item);
+    const expanded = item.getAttribute('aria-expanded');
+    let target = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        target = items[i + 1];
+        break;
+      case 'ArrowUp':
+        target = items[i - 1];
+        break;
+      case 'Home':
+        target = items[0];
+        break;
+      case 'End':
+        target = items[items.length - 1];
+        break;
+      case 'ArrowRight':
+        if (expanded === 'false') {
+          toggleNode(item);
+        } else {
+          target = item.querySelector(':scope > .flow-children > [role="treeitem"]');
+        }
+        break;
+      case 'ArrowLeft':
+        // Nodes whose children are always shown go straight to the parent
+        if (expanded === 'true' && (isCollapsibleSection(item) || !item.querySelector(':scope > .flow-children'))) {
+          toggleNode(item);
+        } else {
+          target = item.parentElement.closest('[role="treeitem"]');
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        toggleNode(item);
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    if (target) {
+      setActive(target);
+      target.focus({ preventScroll: true });
+      target.querySelector(':scope > .flow-card').scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
+
+function announce(message) {
+  if (!announcer) return;
+  // Clear first so the same message twice in a row is still read out
+  announcer.textContent = '';
+  setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+// ── Progress ────────────────────────────────────────────────────────
+
+function loadProgress(dataUrl) {
+  const key = PROGRESS_PREFIX + dataUrl;
+  progress = { key, done: {}, last: null };
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    if (saved && typeof saved.done === 'object') progress = { key, done: saved.done, last: saved.last || null };
+  } catch {
+    // Unreadable or unavailable storage: start fresh
+  }
+}
+
+function saveProgress() {
+  try {
+    if (Object.keys(progress.done).length === 0) {
+      localStorage.removeItem(progress.key);
+    } else {
+      localStorage.setItem(progress.key, JSON.stringify({ done: progress.done, last: progress.last }));
+    }
+  } catch {
+    // Private mode or full storage: progress lasts for this page view only
+  }
+}
+
+function isDone(id) {
+  return Boolean(progress.done[id]);
+}
+
+/**
+ * Check or uncheck an action and tell both views.
+ * @param {string} id
+ * @param {boolean} done
+ * @param {string} source - 'tree' or 'wizard'
+ */
+function setDone(id, done, source) {
+  if (done) {
+    progress.done[id] = new Date().toISOString();
+    progress.last = id;
+  } else {
+    delete progress.done[id];
+  }
+  saveProgress();
+  document.dispatchEvent(new CustomEvent('flowprogress', { detail: { source } }));
+}
+
+function resetProgress() {
+  progress.done = {};
+  progress.last = null;
+  saveProgress();
+  document.dispatchEvent(new CustomEvent('flowprogress', { detail: { source: 'reset' } }));
+}
+
+/** Checked and total `action` nodes under `node`, at any depth. */
+function countActions(node) {
+  let done = 0;
+  let total = 0;
+  (function walk(n) {
+    if (n.type === 'action') {
+      total += 1;
+      if (isDone(n.id)) done += 1;
+    }
+    (n.children || []).forEach(walk);
+  })(node);
+  return { done, total };
+}
+
+/** Every `action` node in document order. */
+function listActions(root) {
+  const actions = [];
+  (function walk(n) {
+    if (n.type === 'action') actions.push(n);
+    (n.children || []).forEach(walk);
+  })(root);
+  return actions;
+}
+
+/** The first unchecked action after the last one checked, wrapping round. */
+function resumeTarget(root) {
+  const actions = listActions(root);
+  const start = actions.findIndex(a => a.id === progress.last) + 1;
+  const ordered = [...actions.slice(start), ...actions.slice(0, start)];
+  return ordered.find(a => !isDone(a.id)) || null;
+}
+
+/**
+ * Sync tree checkboxes and section counters with the stored progress.
+ */
+function updateProgress(container, root) {
+  const byId = new Map();
+  (function walk(n) {
+    byId.set(n.id, n);
+    (n.children || []).forEach(walk);
+  })(root);
+
+  container.querySelectorAll('.flow-node').forEach((nodeEl) => {
+    const node = byId.get(nodeEl.dataset.nodeId);
+    const header = nodeEl.querySelector(':scope > .flow-card > .flow-card__header');
+    if (!node || !header) return;
+
+    const check = header.querySelector('.flow-card__check');
+    if (check) {
+      check.checked = isDone(node.id);
+      nodeEl.classList.toggle('flow-node--done', check.checked);
+    }
+    const counter = header.querySelector('.flow-card__progress');
+    if (counter) {
+      const { done, total } = countActions(node);
+      counter.textContent = `${done}/${total}`;
+      counter.title = `${done} of ${total} actions done`;
+      counter.classList.toggle('flow-card__progress--complete', done === total);
+    }
+  });
+}
+
+/**
+ * Opens every collapsed section above a node in the tree view.
+ */
+function revealNode(nodeEl) {
+  for (let el = nodeEl.parentElement?.closest('.flow-node'); el; el = el.parentElement?.closest('.flow-node')) {
+    const childrenEl = el.querySelector(':scope > .flow-children');
+    if (childrenEl && childrenEl.classList.contains('flow-children--collapsed')) toggleSection(el);
+  }
+}
+
+function renderProgressBanner(banner, container, root, wizard) {
+  const checked = Object.keys(progress.done).length;
+  banner.classList.toggle('hidden', checked === 0);
+  if (checked === 0) {
+    banner.innerHTML = '';
+    return;
+  }
+
+  const target = resumeTarget(root);
+  banner.innerHTML = `
+    <span class="text-gray-400">
+      ${checked} ${checked === 1 ? 'step' : 'steps'} checked off.
+      ${target ? `Next: <span class="text-gray-200" dir="auto">${escapeHtml(localize(target.label))}</span>` : 'Every step is done.'}
+    </span>
+    <span class="flex gap-4">
+      ${target ? '<button type="button" data-action="resume" class="text-psn-blue hover:text-blue-400 transition-colors">Resume where I left off</button>' : ''}
+      <button type="button" data-action="reset" class="text-gray-500 hover:text-red-400 transition-colors">Reset progress</button>
+    </span>`;
+
+  banner.querySelector('[data-action="resume"]')?.addEventListener('click', () => {
+    if (container.classList.contains('hidden') && wizard) {
+      wizard.goTo(target.id);
+      return;
+    }
+    const nodeEl = container.querySelector(`.flow-node[data-node-id="${CSS.escape(target.id)}"]`);
+    if (!nodeEl) return;
+    revealNode(nodeEl);
+    focusNode(nodeEl);
+    nodeEl.querySelector(':scope > .flow-card .flow-card__check')?.focus({ preventScroll: true });
+  });
+
+  banner.querySelector('[data-action="reset"]').addEventListener('click', () => {
+    if (confirm('Clear every checked step? This cannot be undone.')) resetProgress();
+  });
+}
+
+// ── Links ───────────────────────────────────────────────────────────
+
+function nodeUrl(id) {
+  return `${window.location.origin}${window.location.pathname}#${encodeURIComponent(id)}`;
+}
+
+/**
+ * A button that copies the URL of this node's card.
+ */
+function createLinkButton(node, treeNumber) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'flow-card__link';
+  btn.title = treeNumber ? `Copy link to step ${treeNumber}` : 'Copy link';
+  btn.setAttribute('aria-label', btn.title);
+  btn.innerHTML = ICONS.link;
+
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    navigator.clipboard.writeText(nodeUrl(node.id)).then(() => {
+      btn.textContent = 'Copied!';
+      btn.classList.add('flow-card__link--copied');
+      setTimeout(() => {
+        btn.innerHTML = ICONS.link;
+        btn.classList.remove('flow-card__link--copied');
+      }, 2000);
+    });
+  });
+  return btn;
+}
+
+/**
+ * Shows the node whose id is in the URL hash: in the wizard if that view is
+ * open, otherwise by opening every section above it in the tree, expanding
+ * the node itself and scrolling it into view.
+ */
+function openFromHash(container, wizard) {
+  let id;
+  try {
+    id = decodeURIComponent(window.location.hash.slice(1));
+  } catch {
+    return;
+  }
+  if (!id) return;
+  const nodeEl = container.querySelector(`.flow-node[data-node-id="${CSS.escape(id)}"]`);
+  if (!nodeEl) return;
+
+  if (container.classList.contains('hidden') && wizard) {
+    wizard.goTo(id);
+    return;
+  }
+
+  revealNode(nodeEl);
+  const childrenEl = nodeEl.querySelector(':scope > .flow-children');
+  if (nodeEl.classList.contains('flow-node--section') && childrenEl) {
+    if (childrenEl.classList.contains('flow-children--collapsed')) toggleSection(nodeEl);
+  } else if (nodeEl.dataset.expanded === 'false' && nodeEl.querySelector('.flow-card__detail')) {
+    toggleDetail(nodeEl);
+  }
+  focusNode(nodeEl);
+}
+
+/**
+ * Scrolls to a node's card and briefly highlights it.
+ */
+function focusNode(nodeEl) {
+  setActive(nodeEl);
+  nodeEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  const card = nodeEl.querySelector(':scope > .flow-card');
+  card.classList.remove('flow-card--flash');
+  card.offsetWidth; // restart the animation
+  card.classList.add('flow-card--flash');
+}
+
+// ── Search ──────────────────────────────────────────────────────────
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wraps every match of `pattern` in the element's text in a <mark>, or just
+ * removes old marks when `pattern` is null.
+ * @param {HTMLElement} el
+ * @param {RegExp|null} pattern - With one capturing group around the query
+ * @returns {boolean} Whether anything matched
+ */
+function highlightText(el, pattern) {
+  const text = el.textContent;
+  el.textContent = text;
+  if (!pattern) return false;
+
+  // split() with a capturing group puts the matches at the odd indexes
+  const parts = text.split(pattern);
+  if (parts.length === 1) return false;
+  el.textContent = '';
+  parts.forEach((part, i) => {
+    if (!part) return;
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.className = 'flow-mark';
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(part));
     }
   });
+  return true;
+}
+
+/**
+ * Wires the search box above the tree. Opening a hit reuses revealNode() and
+ * toggleDetail(), so sections opened by a search stay open afterwards, just
+ * as if they had been clicked.
+ * @returns {{ refresh(): void } | null} Re-runs the current query, e.g. after relabel()
+ */
+function setupSearch(container) {
+  const input = document.getElementById('flowchart-search-input');
+  const countEl = document.getElementById('flowchart-search-count');
+  const prevBtn = document.getElementById('flowchart-search-prev');
+  const nextBtn = document.getElementById('flowchart-search-next');
+  if (!input || !countEl || !prevBtn || !nextBtn) return null;
+
+  let matches = [];
+  // -1 until the user steps to a match; the first is scrolled to but not selected
+  let current = -1;
+  let timer = null;
+
+  function run(scroll) {
+    clearTimeout(timer);
+    timer = null;
+    const query = input.value.trim();
+    const pattern = query.length >= SEARCH_MIN_LENGTH ? new RegExp(`(${escapeRegExp(query)})`, 'gi') : null;
+
+    container.querySelectorAll('.flow-node--match-current')
+      .forEach((el) => el.classList.remove('flow-node--match-current'));
+    matches = [];
+    current = -1;
+
+    container.querySelectorAll('.flow-node').forEach((nodeEl) => {
+      const card = nodeEl.querySelector(':scope > .flow-card');
+      const inLabel = highlightText(card.querySelector('.flow-card__label'), pattern);
+      const detailInner = card.querySelector('.flow-card__detail-inner');
+      const inDetail = detailInner ? highlightText(detailInner, pattern) : false;
+      if (!inLabel && !inDetail) return;
+
+      matches.push(nodeEl);
+      revealNode(nodeEl);
+      if (inDetail && nodeEl.dataset.expanded === 'false') toggleDetail(nodeEl, { scroll: false });
+    });
+
+    prevBtn.disabled = matches.length === 0;
+    nextBtn.disabled = matches.length === 0;
+    if (!pattern) {
+      countEl.textContent = '';
+    } else if (matches.length === 0) {
+      countEl.textContent = 'No matches';
+    } else {
+      countEl.textContent = `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`;
+      if (scroll) matches[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  function step(delta) {
+    if (timer) run(false);
+    if (matches.length === 0) return;
+
+    if (current === -1) {
+      current = delta > 0 ? 0 : matches.length - 1;
+    } else {
+      matches[current].classList.remove('flow-node--match-current');
+      current = (current + delta + matches.length) % matches.length;
+    }
+    const nodeEl = matches[current];
+    nodeEl.classList.add('flow-node--match-current');
+    // The user may have collapsed it since the search ran
+    revealNode(nodeEl);
+    focusNode(nodeEl);
+    countEl.textContent = `${current + 1} of ${matches.length}`;
+  }
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => run(true), SEARCH_DELAY);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      step(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape' && input.value) {
+      e.preventDefault();
+      input.value = '';
+      run(false);
+    }
+  });
+
+  prevBtn.addEventListener('click', () => step(-1));
+  nextBtn.addEventListener('click', () => step(1));
+
+  return { refresh: () => run(false) };
+}
+
+// ── Wizard ──────────────────────────────────────────────────────────
+
+/**
+ * Sets up the tree / step-by-step switch and the wizard it shows.
+ * @returns {{ render(focus: boolean): void, goTo(id: string): void } | null} The wizard, if the page has one
+ */
+function setupViewToggle(container, root) {
+  const wizardEl = document.getElementById('flowchart-wizard');
+  const btnTree = document.getElementById('view-tree');
+  const btnWizard = document.getElementById('view-wizard');
+  const expandBtn = document.getElementById('expand-all-btn');
+  const searchEl = document.getElementById('flowchart-search');
+  if (!wizardEl || !btnTree || !btnWizard) return null;
+
+  const wizard = createWizard(wizardEl, root);
+
+  function show(view, focus) {
+    const isWizard = view === 'wizard';
+    container.classList.toggle('hidden', isWizard);
+    wizardEl.classList.toggle('hidden', !isWizard);
+    if (expandBtn) expandBtn.classList.toggle('hidden', isWizard);
+    if (searchEl) searchEl.classList.toggle('hidden', isWizard);
+    btnTree.setAttribute('aria-pressed', String(!isWizard));
+    btnWizard.setAttribute('aria-pressed', String(isWizard));
+    if (isWizard) wizard.render(focus);
+    try {
+      localStorage.setItem(VIEW_KEY, view);
+    } catch {
+      // Private mode: the choice just isn't remembered
+    }
+  }
+
+  btnTree.addEventListener('click', () => show('tree', false));
+  btnWizard.addEventListener('click', () => show('wizard', true));
+
+  let saved = null;
+  try {
+    saved = localStorage.getItem(VIEW_KEY);
+  } catch {
+    // Fall through to the tree
+  }
+  show(saved === 'wizard' ? 'wizard' : 'tree', false);
+
+  return wizard;
+}
+
+/**
+ * Walks the tree one node at a time. History is the list of node ids
+ * visited, so Back retraces the path actually taken, choices included.
+ */
+function createWizard(el, root) {
+  const byId = new Map();
+  const parents = new Map();
+  (function walk(node) {
+    byId.set(node.id, node);
+    (node.children || []).forEach((child) => {
+      parents.set(child.id, node);
+      walk(child);
+    });
+  })(root);
+
+  // null marks the end of the path
+  let history = [root.id];
+
+  const modeOf = (node) => node.childMode || 'sequential';
+  const isChoice = (node) => modeOf(node) === 'choice' && node.children && node.children.length > 0;
+
+  /** The node after `node` once it and everything under it is done. */
+  function nextAfter(node) {
+    let current = node;
+    let parent = parents.get(current.id);
+    while (parent) {
+      // A choice is done once the chosen branch is; sequences move on
+      if (modeOf(parent) === 'sequential') {
+        const i = parent.children.indexOf(current);
+        if (i < parent.children.length - 1) return parent.children[i + 1];
+      }
+      current = parent;
+      parent = parents.get(current.id);
+    }
+    return null;
+  }
+
+  function advance(node) {
+    if (!isChoice(node) && node.children && node.children.length > 0) return node.children[0];
+    return nextAfter(node);
+  }
+
+  function go(id) {
+    history.push(id);
+    render(true);
+  }
+
+  function jumpTo(id) {
+    const i = history.lastIndexOf(id);
+    history = i === -1 ? [id] : history.slice(0, i + 1);
+    render(true);
+  }
+
+  function stepText(node) {
+    const parent = parents.get(node.id);
+    if (!parent || modeOf(parent) !== 'sequential') return '';
+    return `Step ${parent.children.indexOf(node) + 1} of ${parent.children.length}`;
+  }
+
+  function renderBreadcrumb(node) {
+    const trail = [];
+    for (let n = node && parents.get(node.id); n; n = parents.get(n.id)) trail.unshift(n);
+    if (!node) {
+      const last = byId.get(history[history.length - 2]);
+      for (let n = last; n; n = parents.get(n.id)) trail.unshift(n);
+    }
+    if (trail.length === 0) return '';
+    const items = trail.map(n => `
+      <li><button type="button" class="flow-wizard__crumb" data-node-id="${escapeHtml(n.id)}" dir="auto">${escapeHtml(localize(n.label))}</button></li>`);
+    return `<nav class="flow-wizard__breadcrumb" aria-label="Path taken"><ol>${items.join('')}</ol></nav>`;
+  }
+
+  function renderNodeStep(node) {
+    const choices = isChoice(node)
+      ? `<div class="flow-wizard__choices">${node.children.map(child => `
+          <button type="button" class="flow-wizard__choice" data-choice="${escapeHtml(child.id)}" dir="auto">
+            ${escapeHtml(localize(child.label))}
+          </button>`).join('')}</div>`
+      : '';
+    const step = stepText(node);
+    return `
+      <div class="flow-node flow-node--${escapeHtml(node.type)}">
+        <div class="flow-card flow-wizard__card">
+          <div class="flow-card__header">
+            <span class="flow-card__icon">${ICONS[node.type] || ICONS.info}</span>
+            ${step ? `<span class="flow-card__step">&gt; ${step}</span>` : ''}
+          </div>
+          <h2 class="flow-wizard__label" tabindex="-1" dir="auto">${escapeHtml(localize(node.label))}</h2>
+          ${node.detail ? `<p class="flow-wizard__detail" dir="auto">${escapeHtml(localize(node.detail))}</p>` : ''}
+          ${node.type === 'action' ? `
+            <label class="flow-wizard__check">
+              <input type="checkbox" class="flow-card__check" ${isDone(node.id) ? 'checked' : ''}>
+              I have done this
+            </label>` : ''}
+          ${choices}
+        </div>
+      </div>`;
+  }
+
+  function renderEnd() {
+    return `
+      <div class="flow-card flow-wizard__card">
+        <h2 class="flow-wizard__label" tabindex="-1">You have reached the end of this path.</h2>
+        <p class="flow-wizard__detail">
+          Go back to review a step, or start over to follow a different path.
+        </p>
+      </div>`;
+  }
+
+  function render(focus) {
+    const id = history[history.length - 1];
+    const node = id === null ? null : byId.get(id);
+    const choosing = node && isChoice(node);
+
+    el.innerHTML = `
+      ${renderBreadcrumb(node)}
+      ${node ? renderNodeStep(node) : renderEnd()}
+      <div class="flow-wizard__nav">
+        <button type="button" class="flow-wizard__btn" data-action="back" ${history.length > 1 ? '' : 'disabled'}>Back</button>
+        ${node
+          ? `<button type="button" class="flow-wizard__btn flow-wizard__btn--primary" data-action="next" ${choosing ? 'hidden' : ''}>Next</button>`
+          : '<button type="button" class="flow-wizard__btn flow-wizard__btn--primary" data-action="restart">Start over</button>'}
+      </div>`;
+
+    if (node) el.querySelector('.flow-card__header').appendChild(createLinkButton(node, ''));
+    el.querySelector('.flow-card__check')?.addEventListener('change', (e) => {
+      setDone(node.id, e.target.checked, 'wizard');
+    });
+    el.querySelectorAll('[data-choice]').forEach((btn) => {
+      btn.addEventListener('click', () => go(btn.dataset.choice));
+    });
+    el.querySelectorAll('.flow-wizard__crumb').forEach((btn) => {
+      btn.addEventListener('click', () => jumpTo(btn.dataset.nodeId));
+    });
+    el.querySelector('[data-action="back"]').addEventListener('click', () => {
+      history.pop();
+      render(true);
+    });
+    el.querySelector('[data-action="next"]')?.addEventListener('click', () => {
+      const next = advance(node);
+      go(next ? next.id : null);
+    });
+    el.querySelector('[data-action="restart"]')?.addEventListener('click', () => {
+      history = [root.id];
+      render(true);
+    });
+
+    if (focus) el.querySelector('.flow-wizard__label').focus();
+  }
+
+  return {
+    render,
+    /** Show a node directly, e.g. to resume; Back then starts from there. */
+    goTo(id) {
+      if (byId.has(id)) jumpTo(id);
+    },
+  };
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
+/**
+ * Re-applies localized label and detail text to every rendered node.
+ */
+function relabel(container, root) {
+  const byId = new Map();
+  (function walk(node) {
+    byId.set(node.id, node);
+    (node.children || []).forEach(walk);
+  })(root);
+
+  container.querySelectorAll('.flow-node').forEach((nodeEl) => {
+    const node = byId.get(nodeEl.dataset.nodeId);
+    if (!node) return;
+    const card = nodeEl.querySelector(':scope > .flow-card');
+    card.querySelector('.flow-card__label').textContent = localize(node.label);
+    const check = card.querySelector(':scope > .flow-card__header > .flow-card__check');
+    if (check) check.setAttribute('aria-label', `Done: ${localize(node.label)}`);
+    const detailInner = card.querySelector('.flow-card__detail-inner');
+    if (detailInner) detailInner.textContent = localize(node.detail);
+  });
+}
+
 /**
  * Creates an "OR" divider element for mobile choice branches.
  */
 function createChoiceDivider() {
   const div = document.createElement('div');
   div.className = 'flow-choice-divider';
+  div.setAttribute('aria-hidden', 'true');
   div.innerHTML = `
     <div class="flow-choice-divider__line"></div>
     <span class="flow-choice-divider__text">OR</span>
@@ -10,13 +10,58 @@
  * English text lives directly in the HTML. For non-English languages,
  * the corresponding lang/*.json is fetched and all elements with
  * data-i18n="key.path" have their textContent replaced.
+ *
+ * Data files (incidents, intelligence, flowchart) may give any text field
+ * as a per-locale object instead of a string, e.g.
+ *   "headline": { "en": "...", "fr": "...", "ar": "..." }
+ * Renderers pass such fields through localize(), which falls back to
+ * English.
+ *
+ * setLanguage() dispatches a "languagechange" CustomEvent on document
+ * (detail: { lang }) once the new translations are applied; modules that
+ * generate their own markup listen for it to re-render.
+ *
+ * Strings generated in JavaScript go through t(key, params), which looks the
+ * key up in the active language, then in lang/en.json, and supports
+ * {placeholder} interpolation and ICU-style plurals:
+ *   "{count, plural, =0 {No entries} one {# entry} other {# entries}}"
+ * Dates and numbers go through formatDate / formatDateTime / formatNumber,
+ * which use the active language. Call `await i18nReady()` before the first
+ * render so t() has its strings.
+ *
+ * Add ?i18n-debug to any page URL to outline every data-i18n element whose
+ * key has no entry in the active language's file (en.json for English).
+ *
+ * Always import this module as plain "i18n.js" (no ?v= query), from pages
+ * and modules alike: a different URL loads a second copy with its own
+ * language state.
  */
 
 const SUPPORTED = ['en', 'ja', 'es', 'pt-br', 'de', 'fr', 'ar'];
 const RTL_LANGS = ['ar'];
 
+// Shown in the language picker, each in its own language
+const NATIVE_NAMES = {
+  en: 'English',
+  ja: '日本語',
+  es: 'Español',
+  'pt-br': 'Português (Brasil)',
+  de: 'Deutsch',
+  fr: 'Français',
+  ar: 'العربية',
+};
+
+const DEBUG = new URLSearchParams(window.location.search).has('i18n-debug');
+
 let currentLang = 'en';
 let translations = {};
+let english = {};
+let englishLoaded = null;
+let initialised = Promise.resolve();
+
+// Original English markup of each translated element, so switching back
+// to English (or to a language missing a key) restores it
+const originals = new WeakMap();
 
 function getCookie(name) {
   const match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
@@ -43,6 +88,10 @@ function detectLanguage() {
 
 async function loadTranslations(lang) {
   if (lang === 'en') return {};
+  return fetchLangFile(lang);
+}
+
+async function fetchLangFile(lang) {
   try {
     const resp = await fetch(`/lang/${lang}.json`);
     if (!resp.ok) return {};
@@ -52,28 +101,83 @@ async function loadTranslations(lang) {
   }
 }
 
+function loadEnglish() {
+  if (!englishLoaded) {
+    englishLoaded = fetchLangFile('en').then(dict => { english = dict; });
+  }
+  return englishLoaded;
+}
+
 function resolve(obj, path) {
   return path.split('.').reduce((o, k) => (o && o[k] !== undefined) ? o[k] : null, obj);
 }
 
 function applyTranslations() {
-  if (currentLang === 'en') return;
-
   document.querySelectorAll('[data-i18n]').forEach(el => {
-    const key = el.getAttribute('data-i18n');
-    const value = resolve(translations, key);
+    if (!originals.has(el)) originals.set(el, el.innerHTML);
+    const value = resolve(translations, el.getAttribute('data-i18n'));
     if (value) el.textContent = value;
+    else el.innerHTML = originals.get(el);
   });
 
   document.querySelectorAll('[data-i18n-html]').forEach(el => {
-    const key = el.getAttribute('data-i18n-html');
-    const value = resolve(translations, key);
-    if (value) el.innerHTML = value;
+    if (!originals.has(el)) originals.set(el, el.innerHTML);
+    const value = resolve(translations, el.getAttribute('data-i18n-html'));
+    el.innerHTML = value || originals.get(el);
   });
 }
 
 /**
- * Switch the active language. Persists to localStorage.
+ * Debug mode: outline elements whose key does not resolve in `dict` and
+ * log the keys to the console.
+ */
+function markUnresolved(dict) {
+  const missing = [];
+  document.querySelectorAll('[data-i18n], [data-i18n-html]').forEach(el => {
+    const key = el.getAttribute('data-i18n') || el.getAttribute('data-i18n-html');
+    if (resolve(dict, key)) {
+      el.removeAttribute('data-i18n-missing');
+    } else {
+      el.setAttribute('data-i18n-missing', key);
+      if (!el.title) el.title = `Missing i18n key: ${key}`;
+      missing.push(key);
+    }
+  });
+  if (missing.length > 0) {
+    console.warn(`[i18n-debug] ${missing.length} unresolved key(s) for "${currentLang}":`, missing);
+  }
+}
+
+/**
+ * Supported languages with their native names, for the language picker.
+ * @returns {Array<{ code: string, name: string }>}
+ */
+export function getSupportedLanguages() {
+  return SUPPORTED.map(code => ({ code, name: NATIVE_NAMES[code] }));
+}
+
+/**
+ * Current locale code.
+ * @returns {string}
+ */
+export function getLanguage() {
+  return currentLang;
+}
+
+/**
+ * Resolve a data field that is either a plain string or a per-locale object
+ * ({ en, fr, ... }) to the current language, falling back to English.
+ * @param {string|object|null|undefined} value
+ * @returns {string|null|undefined}
+ */
+export function localize(value) {
+  if (value === null || value === undefined || typeof value === 'string') return value;
+  return value[currentLang] ?? value.en ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Switch the active language. Persists to localStorage and dispatches
+ * "languagechange" on document when done.
  * @param {string} lang - Locale code (e.g. "en", "ja", "es")
  */
 export async function setLanguage(lang) {
@@ -82,8 +186,10 @@ export async function setLanguage(lang) {
   localStorage.setItem('lang', lang);
   translations = await loadTranslations(lang);
   applyTranslations();
+  if (DEBUG) markUnresolved(lang === 'en' ? (await loadEnglish(), english) : translations);
   document.documentElement.lang = lang;
   document.documentElement.dir = RTL_LANGS.includes(lang) ? 'rtl' : 'ltr';
+  document.dispatchEvent(new CustomEvent('languagechange', { detail: { lang } }));
 }
 
 /**
@@ -91,7 +197,142 @@ export async function setLanguage(lang) {
  */
 export async function initI18n() {
   const lang = detectLanguage();
-  if (lang !== 'en') {
-    await setLanguage(lang);
+  loadEnglish();
+  if (lang !== 'en' || DEBUG) {
+    initialised = setLanguage(lang);
+    await initialised;
+  }
+}
+
+/**
+ * Resolves once the English fallback strings and the initially detected
+ * language are loaded.
+ * @returns {Promise<void>}
+ */
+export async function i18nReady() {
+  await Promise.all([loadEnglish(), initialised]);
+}
+
+// ── Messages ────────────────────────────────────────────────────────
+
+/**
+ * Index of the brace closing the one opened at `start`.
+ */
+function closingBrace(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === '{') depth++;
+    else if (str[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Pick the branch of "=0 {...} one {...} other {...}" for `n` and
+ * substitute # with the formatted number.
+ */
+function formatPlural(options, n, params) {
+  const branches = {};
+  const re = /\s*(=\d+|zero|one|two|few|many|other)\s*\{/g;
+  let match;
+  while ((match = re.exec(options))) {
+    const open = re.lastIndex - 1;
+    const close = closingBrace(options, open);
+    if (close === -1) break;
+    branches[match[1]] = options.slice(open + 1, close);
+    re.lastIndex = close + 1;
   }
+
+  const category = new Intl.PluralRules(intlLocale()).select(n);
+  const branch = branches[`=${n}`] ?? branches[category] ?? branches.other ?? '';
+  return formatMessage(branch.replace(/#/g, formatNumber(n)), params);
+}
+
+function formatMessage(template, params) {
+  let out = '';
+  let i = 0;
+  while (i < template.length) {
+    const open = template.indexOf('{', i);
+    const close = open === -1 ? -1 : closingBrace(template, open);
+    if (close === -1) {
+      out += template.slice(i);
+      break;
+    }
+    out += template.slice(i, open);
+
+    const inner = template.slice(open + 1, close);
+    const [name, type, ...rest] = inner.split(',');
+    const value = params[name.trim()];
+
+    if (type && type.trim() === 'plural' && typeof value === 'number') {
+      out += formatPlural(rest.join(','), value, params);
+    } else if (value === undefined) {
+      out += template.slice(open, close + 1);
+    } else {
+      out += typeof value === 'number' ? formatNumber(value) : String(value);
+    }
+    i = close + 1;
+  }
+  return out;
+}
+
+/**
+ * Translate a key for text generated in JavaScript, falling back to
+ * English and then to the key itself. Returns plain text (escape before
+ * inserting as HTML).
+ * @param {string} key - Dotted key path in lang/*.json
+ * @param {object} [params] - Values for {placeholder} and plural arguments
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const template = resolve(translations, key) || resolve(english, key);
+  return typeof template === 'string' ? formatMessage(template, params) : key;
+}
+
+// ── Formatting ──────────────────────────────────────────────────────
+
+/**
+ * BCP 47 locale for Intl APIs ("pt-br" -> "pt-BR").
+ */
+function intlLocale() {
+  const [lang, region] = currentLang.split('-');
+  return region ? `${lang}-${region.toUpperCase()}` : lang;
+}
+
+/**
+ * Format a number in the active language.
+ * @param {number} n
+ * @param {Intl.NumberFormatOptions} [opts]
+ * @returns {string}
+ */
+export function formatNumber(n, opts) {
+  return new Intl.NumberFormat(intlLocale(), opts).format(n);
+}
+
+/**
+ * Format a full or partial ISO date ("2025", "2025-05", "2025-05-14") in the
+ * active language, at the precision the date has unless `opts` says otherwise.
+ * @param {string} dateStr
+ * @param {Intl.DateTimeFormatOptions} [opts]
+ * @returns {string}
+ */
+export function formatDate(dateStr, opts) {
+  if (!dateStr) return '';
+  const [year, month, day] = dateStr.split('-');
+  const defaults = day
+    ? { year: 'numeric', month: 'long', day: 'numeric' }
+    : month ? { year: 'numeric', month: 'long' } : { year: 'numeric' };
+  const d = new Date(`${year}-${month || '01'}-${day || '01'}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return dateStr;
+  return d.toLocaleDateString(intlLocale(), opts || defaults);
+}
+
+/**
+ * Format a Date with time in the active language.
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} [opts]
+ * @returns {string}
+ */
+export function formatDateTime(date, opts = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return date.toLocaleString(intlLocale(), opts);
 }
@@ -0,0 +1,117 @@
+/**
+ * incident-draft.js — Turns submitted report entries into a draft incident card.
+ *
+ * The structured `details` submitted from status.html map onto incident
+ * fields and tags; the entries' text becomes the `detail`. The id and
+ * headline are left empty for the editor to write, so validate-data.mjs
+ * rejects a draft pasted into data/incidents.json until they are.
+ *
+ * anonymiseIncident() swaps personal details in a draft's free text for
+ * placeholders (see pii.js).
+ *
+ * Used by admin/moderation.js, scripts/entry-to-incident.mjs and
+ * scripts/anonymise.mjs; status.js takes its region list from here. No DOM
+ * access, so Node scripts can import it too. Those scripts need Node 20.19 or
+ * later, which loads an ES module from a .js file without a package.json.
+ */
+
+import { redactPii } from './pii.js';
+
+// Keys are the <select> option values in js/status.js
+
+const TWO_FACTOR_TAGS = {
+  none: [],
+  sms: ['2fa-bypass'],
+  authenticator: ['2fa-bypass'],
+  passkey: ['2fa-bypass', 'passkey-bypass'],
+};
+
+const ACCESS_LOST_TAGS = {
+  'support-engineering': ['support-engineering'],
+  phishing: ['phishing'],
+  'password-leak': ['password-leak'],
+  'sim-swap': ['sim-swap'],
+};
+
+const OUTCOME_TAGS = {
+  banned: ['post-hack-ban'],
+};
+
+export const REGION_NAMES = {
+  na: 'North America',
+  eu: 'Europe',
+  uk: 'United Kingdom',
+  latam: 'Latin America',
+  asia: 'Asia',
+  oceania: 'Oceania',
+  mea: 'Middle East / Africa',
+};
+
+/**
+ * Build a draft incident from readable entries, oldest first. Later entries'
+ * details override earlier ones; text is joined in order. Entries still
+ * encrypted are skipped.
+ * @param {object[]} entries
+ * @param {object} [opts]
+ * @param {string[]} [opts.tags] - Extra tags, e.g. the operator's tags on the report
+ * @returns {object} Incident object in the data/incidents.json shape
+ */
+export function draftIncident(entries, { tags: extraTags = [] } = {}) {
+  const readable = entries
+    .filter(e => !e.encrypted)
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  const details = Object.assign({}, ...readable.map(e => e.details || {}));
+  const first = readable[0];
+
+  const tags = [
+    ...(TWO_FACTOR_TAGS[details.two_factor] || []),
+    ...(ACCESS_LOST_TAGS[details.access_lost_via] || []),
+    ...(OUTCOME_TAGS[details.outcome] || []),
+    ...extraTags,
+  ];
+
+  const paragraphs = [];
+  if (details.region) paragraphs.push(`${REGION_NAMES[details.region] || details.region} PSN account.`);
+  readable.forEach(e => { if (e.content) paragraphs.push(e.content.trim()); });
+  if (details.support_response) paragraphs.push(`PlayStation support: ${details.support_response.trim()}`);
+
+  return {
+    id: '',
+    date: details.compromised_on || String(first?.created_at || '').slice(0, 10),
+    headline: '',
+    handle: null,
+    detail: paragraphs.join(' '),
+    outcome: {
+      status: details.outcome || 'unknown',
+      summary: null,
+    },
+    tags: [...new Set(tags)],
+    sources: [],
+  };
+}
+
+/**
+ * Replace personal details in an incident's free-text fields (`headline`,
+ * `detail` and `outcome.summary`); everything else is passed through.
+ * @param {object} incident - From draftIncident(), or a hand-written draft
+ * @param {string[]} [keep] - Values to leave alone (see scanPii)
+ * @returns {{ incident: object, findings: Array }}
+ */
+export function anonymiseIncident(incident, keep = []) {
+  const findings = [];
+  const clean = (text) => {
+    if (!text) return text;
+    const result = redactPii(text, { keep });
+    findings.push(...result.findings);
+    return result.text;
+  };
+  return {
+    incident: {
+      ...incident,
+      headline: clean(incident.headline),
+      detail: clean(incident.detail),
+      ...(incident.outcome && { outcome: { ...incident.outcome, summary: clean(incident.outcome.summary) } }),
+    },
+    findings,
+  };
+}
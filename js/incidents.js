@@ -1,8 +1,25 @@
 /**
  * incidents.js — Fetches and renders public incident cards from a JSON data file.
+ *
+ * A filter bar narrows the feed by outcome status, tag, source platform,
+ * date range and free-text search. Active filters live in the query string
+ * (e.g. ?status=unresolved&tag=2fa-bypass&from=2026-01-01) so a filtered
+ * view can be shared as a link.
+ *
+ * Each card carries an anchor derived from its id (#incident-bear), and
+ * ?id=bear renders that single incident on its own with full sources.
+ *
+ * Incidents may carry an optional `timeline` of dated events, each with its
+ * own status and note. When present, the latest event drives the card's
+ * status badge and "last updated" date; `outcome` remains the summary.
+ *
+ * Text fields may be per-locale objects (see i18n.js) and are re-rendered
+ * in the active language on "languagechange".
  */
 
-const PLATFORM_LABELS = {
+import { localize, t, formatDate, i18nReady } from './i18n.js';
+
+export const PLATFORM_LABELS = {
   reddit: 'Reddit',
   x: 'X',
   twitter: 'X',
@@ -12,18 +29,22 @@ const PLATFORM_LABELS = {
   other: 'Link',
 };
 
-const STATUS_STYLES = {
-  unknown:    { label: 'Unknown',    cls: 'text-gray-400  border-gray-500/30  bg-gray-500/10' },
-  resolved:   { label: 'Resolved',   cls: 'text-green-400 border-green-500/30 bg-green-500/10' },
-  unresolved: { label: 'Unresolved', cls: 'text-red-400   border-red-500/30   bg-red-500/10' },
-  banned:     { label: 'Banned',     cls: 'text-amber-400 border-amber-500/30 bg-amber-500/10' },
+export const STATUS_STYLES = {
+  unknown:    { label: 'Unknown',    cls: 'text-gray-400  border-gray-500/30  bg-gray-500/10',  dot: 'bg-gray-500' },
+  resolved:   { label: 'Resolved',   cls: 'text-green-400 border-green-500/30 bg-green-500/10', dot: 'bg-green-500' },
+  restored:   { label: 'Restored',   cls: 'text-sky-400   border-sky-500/30   bg-sky-500/10',   dot: 'bg-sky-500' },
+  unresolved: { label: 'Unresolved', cls: 'text-red-400   border-red-500/30   bg-red-500/10',   dot: 'bg-red-500' },
+  banned:     { label: 'Banned',     cls: 'text-amber-400 border-amber-500/30 bg-amber-500/10', dot: 'bg-amber-500' },
 };
 
-function formatDate(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr + 'T00:00:00');
-  return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-}
+const FILTER_INPUT_CLS =
+  'bg-psn-dark border border-psn-border rounded px-3 py-1.5 text-xs text-gray-200 font-mono ' +
+  'placeholder-gray-600 focus:outline-none focus:border-psn-blue focus:ring-1 focus:ring-psn-blue/50 transition-colors';
+
+const CHIP_CLS =
+  'text-xs font-mono px-2 py-0.5 rounded border transition-colors';
+const CHIP_ON_CLS = 'border-psn-blue/60 bg-psn-blue/20 text-white';
+const CHIP_OFF_CLS = 'border-psn-border text-gray-500 hover:text-gray-300 hover:border-gray-500';
 
 function escapeHtml(str) {
   const el = document.createElement('span');
@@ -31,8 +52,105 @@ function escapeHtml(str) {
   return el.innerHTML;
 }
 
-function renderIncident(incident) {
-  const status = STATUS_STYLES[incident.outcome?.status] || STATUS_STYLES.unknown;
+/**
+ * Timeline events in chronological order (oldest first).
+ */
+function sortedTimeline(incident) {
+  return (incident.timeline || []).slice().sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+function latestEvent(incident) {
+  const timeline = sortedTimeline(incident);
+  return timeline.length > 0 ? timeline[timeline.length - 1] : null;
+}
+
+/**
+ * Resolve an incident's current status to a STATUS_STYLES key — the latest
+ * timeline event if there is one, else the outcome — treating anything
+ * unrecognised as "unknown".
+ */
+export function statusKey(incident) {
+  const s = latestEvent(incident)?.status || incident.outcome?.status;
+  return s && STATUS_STYLES[s] ? s : 'unknown';
+}
+
+/**
+ * Normalise a source platform to its display group ("twitter" and "x" are one).
+ */
+export function platformKey(platform) {
+  if (platform === 'twitter') return 'x';
+  return PLATFORM_LABELS[platform] ? platform : 'other';
+}
+
+/**
+ * Derive a stable DOM id from an incident id ("(hidden)" -> "incident-hidden").
+ */
+function incidentAnchor(id) {
+  const slug = String(id).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `incident-${slug}`;
+}
+
+/**
+ * Absolute URL of the single-incident view for an incident.
+ */
+function permalink(incident) {
+  return `${window.location.origin}${window.location.pathname}?id=${encodeURIComponent(incident.id)}`;
+}
+
+function renderSourceList(sources) {
+  if (sources.length === 0) return '';
+  const items = sources.map(s => {
+    const label = PLATFORM_LABELS[s.platform] || 'Link';
+    const date = s.date ? ` <span class="text-gray-600">&middot; ${escapeHtml(formatDate(s.date))}</span>` : '';
+    return `<li class="text-sm">
+              <span class="text-xs font-mono text-gray-500">${escapeHtml(label)}</span>
+              <a href="${escapeHtml(s.url)}" target="_blank" rel="noopener noreferrer"
+                 class="text-psn-blue hover:text-blue-400 underline break-words">${escapeHtml(localize(s.title) || s.url)}</a>${date}
+            </li>`;
+  }).join('');
+  return `
+      <div class="mb-4">
+        <h4 class="text-xs font-mono text-gray-500 uppercase tracking-wider mb-2">${escapeHtml(t('incidents.sources'))}</h4>
+        <ul class="space-y-1.5">${items}</ul>
+      </div>`;
+}
+
+function renderTimeline(incident) {
+  const timeline = sortedTimeline(incident);
+  if (timeline.length === 0) return '';
+
+  const items = timeline.map(event => {
+    const style = STATUS_STYLES[event.status] || STATUS_STYLES.unknown;
+    return `
+        <li class="relative ps-5 pb-4 last:pb-0">
+          <span class="absolute start-0 top-1 -translate-x-1/2 rtl:translate-x-1/2 w-2.5 h-2.5 rounded-full ${style.dot}"></span>
+          <div class="flex flex-wrap items-center gap-2 mb-0.5">
+            <time class="text-xs font-mono text-gray-500">${escapeHtml(formatDate(event.date))}</time>
+            <span class="text-xs font-mono px-1.5 rounded border ${style.cls}">${escapeHtml(style.label)}</span>
+          </div>
+          ${event.note ? `<p class="text-gray-400 text-sm leading-relaxed" dir="auto">${escapeHtml(localize(event.note))}</p>` : ''}
+        </li>`;
+  }).join('');
+
+  return `
+      <div class="mb-4">
+        <h4 class="text-xs font-mono text-gray-500 uppercase tracking-wider mb-3">${escapeHtml(t('incidents.timeline'))}</h4>
+        <ol class="border-s border-psn-border ms-1.5">${items}</ol>
+      </div>`;
+}
+
+/**
+ * Render one incident card.
+ * @param {object} incident - Incident data object
+ * @param {object} [opts]
+ * @param {boolean} [opts.full] - Single-incident view: list sources with titles and dates
+ */
+function renderIncident(incident, { full = false } = {}) {
+  const status = STATUS_STYLES[statusKey(incident)];
+  const anchor = incidentAnchor(incident.id);
+  const headline = localize(incident.headline);
+  const summary = localize(incident.outcome?.summary);
+  const updated = latestEvent(incident)?.date;
 
   const sourcesHtml = incident.sources.map(s => {
     const label = PLATFORM_LABELS[s.platform] || 'Link';
@@ -48,41 +166,298 @@ function renderIncident(incident) {
             </a>`;
   }).join('');
 
-  const tagsHtml = incident.tags.map(t =>
-    `<span class="text-xs font-mono text-gray-600">#${escapeHtml(t)}</span>`
+  const tagsHtml = incident.tags.map(tag =>
+    `<a href="?tag=${encodeURIComponent(tag)}" data-tag="${escapeHtml(tag)}"
+        class="incident-tag text-xs font-mono text-gray-600 hover:text-gray-400">#${escapeHtml(tag)}</a>`
   ).join(' ');
 
   const card = document.createElement('article');
-  card.className = 'bg-psn-surface border border-psn-border rounded-lg overflow-hidden';
+  card.className = 'bg-psn-surface border border-psn-border rounded-lg overflow-hidden transition-shadow';
+  card.id = anchor;
+  card.dataset.incidentId = incident.id;
   card.innerHTML = `
     <div class="px-5 py-4 border-b border-psn-border/50 flex flex-wrap items-center justify-between gap-2">
-      <time class="text-xs font-mono text-gray-500">${escapeHtml(formatDate(incident.date))}</time>
-      <span class="text-xs font-mono font-bold px-2 py-0.5 rounded border ${status.cls}">
-        ${escapeHtml(status.label)}
-      </span>
+      <div class="flex items-center gap-3">
+        <time class="text-xs font-mono text-gray-500">${escapeHtml(formatDate(incident.date))}</time>
+        ${updated && updated !== incident.date
+          ? `<span class="text-xs font-mono text-gray-600">${escapeHtml(t('incidents.last_updated'))} <time>${escapeHtml(formatDate(updated))}</time></span>`
+          : ''}
+        <a href="#${anchor}" class="text-xs font-mono text-gray-600 hover:text-cyan-400 no-underline"
+           title="Anchor link">#${escapeHtml(incident.id)}</a>
+      </div>
+      <div class="flex items-center gap-2">
+        <button type="button" class="incident-copy-link text-xs font-mono text-gray-500 hover:text-terminal-green transition-colors"
+                aria-label="${escapeHtml(t('incidents.copy_link_label'))}">${escapeHtml(t('incidents.copy_link'))}</button>
+        <span class="text-xs font-mono font-bold px-2 py-0.5 rounded border ${status.cls}">
+          ${escapeHtml(status.label)}
+        </span>
+      </div>
     </div>
     <div class="px-5 py-4">
-      <h3 class="font-mono font-bold text-white text-sm md:text-base leading-snug mb-2">
-        ${escapeHtml(incident.headline)}
+      <h3 class="font-mono font-bold text-white text-sm md:text-base leading-snug mb-2" dir="auto">
+        ${full
+          ? escapeHtml(headline)
+          : `<a href="?id=${encodeURIComponent(incident.id)}" class="hover:text-psn-blue transition-colors">${escapeHtml(headline)}</a>`}
       </h3>
       ${incident.handle ? `<p class="text-xs font-mono text-psn-blue mb-2">Account: ${escapeHtml(incident.handle)}</p>` : ''}
-      <div class="flex flex-wrap items-center gap-2 mb-4">
+      ${full ? '' : `<div class="flex flex-wrap items-center gap-2 mb-4">
         ${sourcesHtml}
-      </div>
-      <p class="text-gray-400 text-sm leading-relaxed mb-4">
-        ${escapeHtml(incident.detail)}
+      </div>`}
+      <p class="text-gray-400 text-sm leading-relaxed mb-4" dir="auto">
+        ${escapeHtml(localize(incident.detail))}
       </p>
-      ${incident.outcome?.summary ? `<p class="text-gray-500 text-sm leading-relaxed mb-4"><strong class="text-gray-300">Outcome:</strong> ${escapeHtml(incident.outcome.summary)}</p>` : ''}
+      ${renderTimeline(incident)}
+      ${summary ? `<p class="text-gray-500 text-sm leading-relaxed mb-4"><strong class="text-gray-300">${escapeHtml(t('incidents.outcome'))}</strong> <span dir="auto">${escapeHtml(summary)}</span></p>` : ''}
+      ${full ? renderSourceList(incident.sources) : ''}
       <div class="flex flex-wrap gap-2">
         ${tagsHtml}
       </div>
     </div>`;
 
+  const copyBtn = card.querySelector('.incident-copy-link');
+  copyBtn.addEventListener('click', () => {
+    navigator.clipboard.writeText(permalink(incident)).then(() => {
+      copyBtn.textContent = t('incidents.copied');
+      copyBtn.classList.add('text-terminal-green');
+      setTimeout(() => {
+        copyBtn.textContent = t('incidents.copy_link');
+        copyBtn.classList.remove('text-terminal-green');
+      }, 2000);
+    });
+  });
+
   return card;
 }
 
 /**
- * Initialise the incidents feed.
+ * Scroll to the card named by the URL fragment and briefly highlight it.
+ */
+function highlightFromHash(container) {
+  const hash = decodeURIComponent(window.location.hash.slice(1));
+  if (!hash.startsWith('incident-')) return;
+  const card = container.querySelector(`#${CSS.escape(hash)}`);
+  if (!card) return;
+
+  card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  card.classList.add('ring-2', 'ring-psn-blue', 'shadow-lg', 'shadow-psn-blue/20');
+  setTimeout(() => {
+    card.classList.remove('ring-2', 'ring-psn-blue', 'shadow-lg', 'shadow-psn-blue/20');
+  }, 2500);
+}
+
+/**
+ * Render a single incident in place of the feed, for ?id= permalinks.
+ */
+function renderSingle(container, incidents, id) {
+  const incident = incidents.find(i => String(i.id) === id);
+  const back = `
+    <p class="mb-4">
+      <a href="${window.location.pathname}" class="text-psn-blue hover:text-blue-400 font-mono text-sm transition-colors">
+        &larr; All incidents
+      </a>
+    </p>`;
+
+  if (!incident) {
+    container.innerHTML = `${back}<p class="text-center text-gray-500 font-mono py-8">${escapeHtml(t('incidents.not_found'))}</p>`;
+    return;
+  }
+
+  container.innerHTML = back;
+  container.appendChild(renderIncident(incident, { full: true }));
+  document.title = `${localize(incident.headline)} — PSN Security Incidents`;
+}
+
+// ── Filtering ───────────────────────────────────────────────────────
+
+function splitList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Read the active filters from the query string.
+ */
+function readFilters() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    status: splitList(params.get('status')),
+    tags: splitList(params.get('tag')),
+    platforms: splitList(params.get('platform')),
+    from: params.get('from') || '',
+    to: params.get('to') || '',
+    q: params.get('q') || '',
+  };
+}
+
+/**
+ * Write the active filters back to the query string without reloading.
+ */
+function writeFilters(filters) {
+  const params = new URLSearchParams(window.location.search);
+  const set = (key, value) => {
+    if (value) params.set(key, value);
+    else params.delete(key);
+  };
+  set('status', filters.status.join(','));
+  set('tag', filters.tags.join(','));
+  set('platform', filters.platforms.join(','));
+  set('from', filters.from);
+  set('to', filters.to);
+  set('q', filters.q.trim());
+
+  const qs = params.toString().replace(/%2C/g, ',');
+  history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}${window.location.hash}`);
+}
+
+function hasActiveFilters(filters) {
+  return filters.status.length > 0 || filters.tags.length > 0 || filters.platforms.length > 0 ||
+    !!filters.from || !!filters.to || !!filters.q.trim();
+}
+
+/**
+ * Compare a possibly partial date ("2025", "2025-05", "2025-05-14") against a
+ * bound at the precision both share, so "2025-05" falls inside a range that
+ * starts on 2025-05-20.
+ */
+function compareDates(a, b) {
+  const n = Math.min(a.length, b.length);
+  return a.slice(0, n).localeCompare(b.slice(0, n));
+}
+
+/**
+ * Statuses and platforms match any selected value; tags must all be present.
+ */
+function matchesFilters(incident, filters) {
+  if (filters.status.length && !filters.status.includes(statusKey(incident))) return false;
+
+  if (filters.tags.length) {
+    const tags = incident.tags || [];
+    if (!filters.tags.every(tag => tags.includes(tag))) return false;
+  }
+
+  if (filters.platforms.length) {
+    const platforms = (incident.sources || []).map(s => platformKey(s.platform));
+    if (!filters.platforms.some(p => platforms.includes(p))) return false;
+  }
+
+  if (filters.from || filters.to) {
+    if (!incident.date) return false;
+    if (filters.from && compareDates(incident.date, filters.from) < 0) return false;
+    if (filters.to && compareDates(incident.date, filters.to) > 0) return false;
+  }
+
+  const q = filters.q.trim().toLowerCase();
+  if (q) {
+    const haystack = [incident.headline, incident.detail, incident.handle]
+      .flatMap(allVariants).join('\n').toLowerCase();
+    if (!haystack.includes(q)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Every locale variant of a text field, so search matches in any language.
+ */
+function allVariants(value) {
+  if (!value) return [];
+  return typeof value === 'string' ? [value] : Object.values(value);
+}
+
+function renderChips(facet, options, selected) {
+  return options.map(({ value, label }) => {
+    const on = selected.includes(value);
+    return `<button type="button" data-facet="${facet}" data-value="${escapeHtml(value)}"
+                    aria-pressed="${on}" class="${CHIP_CLS} ${on ? CHIP_ON_CLS : CHIP_OFF_CLS}">${escapeHtml(label)}</button>`;
+  }).join(' ');
+}
+
+/**
+ * Render the filter bar and wire its controls to mutate `filters` in place.
+ * @param {HTMLElement} bar - Filter bar container
+ * @param {object[]} incidents - All incidents, used to derive facet options
+ * @param {object} filters - Active filters (mutated)
+ * @param {Function} onChange - Called after any filter changes
+ */
+function renderFilterBar(bar, incidents, filters, onChange) {
+  const statusOptions = Object.entries(STATUS_STYLES).map(([value, s]) => ({ value, label: s.label }));
+
+  const tagOptions = [...new Set(incidents.flatMap(i => i.tags || []))]
+    .sort()
+    .map(tag => ({ value: tag, label: `#${tag}` }));
+
+  const platformOptions = [...new Set(incidents.flatMap(i => (i.sources || []).map(s => platformKey(s.platform))))]
+    .sort()
+    .map(p => ({ value: p, label: PLATFORM_LABELS[p] }));
+
+  const row = (label, html) => html ? `
+    <div class="flex flex-wrap items-center gap-1.5">
+      <span class="text-xs font-mono text-gray-500 w-20 flex-shrink-0">${escapeHtml(label)}</span>
+      ${html}
+    </div>` : '';
+
+  bar.innerHTML = `
+    <div class="bg-psn-surface border border-psn-border rounded-lg p-4 space-y-3">
+      <input type="search" id="incident-search" placeholder="Search headlines, details, handles..."
+             value="${escapeHtml(filters.q)}" class="w-full ${FILTER_INPUT_CLS}">
+      ${row(t('incidents.filter_status'), renderChips('status', statusOptions, filters.status))}
+      ${row(t('incidents.filter_platform'), renderChips('platforms', platformOptions, filters.platforms))}
+      ${row(t('incidents.filter_tags'), renderChips('tags', tagOptions, filters.tags))}
+      <div class="flex flex-wrap items-center gap-1.5">
+        <span class="text-xs font-mono text-gray-500 w-20 flex-shrink-0">${escapeHtml(t('incidents.filter_date'))}</span>
+        <input type="date" id="incident-from" value="${escapeHtml(filters.from)}" aria-label="From date" class="${FILTER_INPUT_CLS}">
+        <span class="text-xs font-mono text-gray-600">to</span>
+        <input type="date" id="incident-to" value="${escapeHtml(filters.to)}" aria-label="To date" class="${FILTER_INPUT_CLS}">
+      </div>
+      <div class="flex items-center justify-between gap-2 pt-1">
+        <span id="incident-count" class="text-xs font-mono text-gray-500" aria-live="polite"></span>
+        <button type="button" id="incident-clear"
+                class="text-xs font-mono text-psn-blue hover:text-blue-400 transition-colors">${escapeHtml(t('incidents.clear_filters'))}</button>
+      </div>
+    </div>`;
+
+  bar.querySelector('#incident-search').addEventListener('input', (e) => {
+    filters.q = e.target.value;
+    onChange();
+  });
+
+  bar.querySelector('#incident-from').addEventListener('change', (e) => {
+    filters.from = e.target.value;
+    onChange();
+  });
+
+  bar.querySelector('#incident-to').addEventListener('change', (e) => {
+    filters.to = e.target.value;
+    onChange();
+  });
+
+  bar.querySelectorAll('button[data-facet]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      toggleFacet(filters, btn.dataset.facet, btn.dataset.value);
+      const on = filters[btn.dataset.facet].includes(btn.dataset.value);
+      btn.setAttribute('aria-pressed', String(on));
+      btn.className = `${CHIP_CLS} ${on ? CHIP_ON_CLS : CHIP_OFF_CLS}`;
+      onChange();
+    });
+  });
+
+  bar.querySelector('#incident-clear').addEventListener('click', () => {
+    Object.assign(filters, { status: [], tags: [], platforms: [], from: '', to: '', q: '' });
+    renderFilterBar(bar, incidents, filters, onChange);
+    onChange();
+  });
+}
+
+function toggleFacet(filters, facet, value) {
+  const list = filters[facet];
+  const i = list.indexOf(value);
+  if (i === -1) list.push(value);
+  else list.splice(i, 1);
+}
+
+/**
+ * Initialise the incidents feed. If the page has an #incidents-filters
+ * element, a filter bar is rendered into it. With ?id= in the URL only
+ * that incident is shown.
  * @param {string} containerId - DOM id of the container element
  * @param {string} dataUrl - URL to the incidents JSON file
  */
@@ -91,7 +466,7 @@ export async function initIncidents(containerId, dataUrl) {
   if (!container) return;
 
   try {
-    const resp = await fetch(dataUrl);
+    const [resp] = await Promise.all([fetch(dataUrl), i18nReady()]);
     if (!resp.ok) throw new Error(`Failed to load incidents: ${resp.status}`);
     const data = await resp.json();
 
@@ -105,8 +480,62 @@ export async function initIncidents(containerId, dataUrl) {
     // Sort newest first
     const sorted = data.incidents.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
 
-    sorted.forEach(incident => {
-      container.appendChild(renderIncident(incident));
+    const bar = document.getElementById('incidents-filters');
+
+    const singleId = new URLSearchParams(window.location.search).get('id');
+    if (singleId) {
+      if (bar) bar.classList.add('hidden');
+      renderSingle(container, sorted, singleId);
+      document.addEventListener('languagechange', () => renderSingle(container, sorted, singleId));
+      return;
+    }
+
+    const filters = readFilters();
+
+    const renderFeed = () => {
+      const visible = sorted.filter(incident => matchesFilters(incident, filters));
+      container.innerHTML = '';
+
+      if (visible.length === 0) {
+        container.innerHTML = `<p class="text-center text-gray-500 font-mono py-8">${escapeHtml(t('incidents.no_match'))}</p>`;
+      } else {
+        visible.forEach(incident => {
+          container.appendChild(renderIncident(incident));
+        });
+      }
+
+      const count = bar && bar.querySelector('#incident-count');
+      if (count) {
+        count.textContent = hasActiveFilters(filters)
+          ? t('incidents.count_filtered', { shown: visible.length, total: sorted.length })
+          : t('incidents.count', { count: sorted.length });
+      }
+    };
+
+    const onChange = () => {
+      writeFilters(filters);
+      renderFeed();
+    };
+
+    if (bar) renderFilterBar(bar, sorted, filters, onChange);
+
+    // Tag links on cards add that tag to the active filters
+    container.addEventListener('click', (e) => {
+      const tagLink = e.target.closest('.incident-tag');
+      if (!tagLink || !bar) return;
+      e.preventDefault();
+      if (!filters.tags.includes(tagLink.dataset.tag)) filters.tags.push(tagLink.dataset.tag);
+      renderFilterBar(bar, sorted, filters, onChange);
+      onChange();
+      bar.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    renderFeed();
+    highlightFromHash(container);
+    window.addEventListener('hashchange', () => highlightFromHash(container));
+    document.addEventListener('languagechange', () => {
+      if (bar) renderFilterBar(bar, sorted, filters, onChange);
+      renderFeed();
     });
 
   } catch (err) {
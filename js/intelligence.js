@@ -2,33 +2,20 @@
  * intelligence.js — Fetches and renders intelligence items from a JSON data file.
  * Each item is either a screenshot (image + description) or a note (markdown text).
  * Items are displayed in reverse chronological order (newest first).
- * Screenshots get a stable short hex label derived from their filename.
+ * Screenshots get a stable short hex label derived from their filename;
+ * notes get one derived from their date and first line.
+ * Descriptions and markdown may be per-locale objects (see i18n.js).
  */
 
+import { localize, formatDate } from './i18n.js';
+import { hashLabel, noteLabel } from './labels.js';
+
 function escapeHtml(str) {
   const el = document.createElement('span');
   el.textContent = str;
   return el.innerHTML;
 }
 
-function formatDate(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(dateStr + 'T00:00:00');
-  return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-}
-
-/**
- * Generate a stable short hex label from a string (FNV-1a 32-bit, truncated to 6 hex chars).
- */
-function hashLabel(str) {
-  let h = 0x811c9dc5;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 0x01000193);
-  }
-  return (h >>> 0).toString(16).padStart(8, '0').slice(0, 6);
-}
-
 /**
  * Render basic markdown to HTML.
  * Supports: headings (##), bold (**), italic (*), inline code (`),
@@ -108,7 +95,7 @@ function renderScreenshot(item, imageBase, label) {
     : '';
 
   const descHtml = item.description
-    ? `<p class="text-gray-200 text-sm font-mono leading-relaxed whitespace-pre-line mt-2">${escapeHtml(item.description)}</p>`
+    ? `<p class="text-gray-200 text-sm font-mono leading-relaxed whitespace-pre-line mt-2" dir="auto">${escapeHtml(localize(item.description))}</p>`
     : '';
 
   let imageHtml = '';
@@ -145,12 +132,13 @@ function renderScreenshot(item, imageBase, label) {
 function renderNote(item, labelMap) {
   const article = document.createElement('article');
   article.className = 'bg-psn-surface border border-cyan-900/50 border-l-2 border-l-cyan-500 rounded-lg overflow-hidden max-w-2xl mx-auto';
+  article.id = `note-${noteLabel(item)}`;
 
   const dateHtml = item.date
     ? `<time class="text-xs font-mono text-gray-500">${escapeHtml(formatDate(item.date))}</time>`
     : '';
 
-  const bodyHtml = item.markdown ? renderMarkdown(item.markdown, labelMap) : '';
+  const bodyHtml = item.markdown ? renderMarkdown(localize(item.markdown), labelMap) : '';
 
   article.innerHTML = `
     <div class="px-5 py-4">
@@ -158,7 +146,7 @@ function renderNote(item, labelMap) {
         ${dateHtml}
         <span class="text-xs font-mono text-cyan-500 uppercase tracking-wider">Analysis</span>
       </div>
-      <div class="space-y-2">${bodyHtml}</div>
+      <div class="space-y-2" dir="auto">${bodyHtml}</div>
     </div>`;
 
   return article;
@@ -187,13 +175,16 @@ export async function initIntelligence(containerId, dataUrl, imageBase) {
     }
 
     // Build label map: hex label -> description, for all screenshot items
-    const labelMap = {};
-    data.intelligence.forEach(item => {
-      if (item.image) {
-        const label = hashLabel(item.image);
-        labelMap[label] = item.description || item.image;
-      }
-    });
+    const buildLabelMap = () => {
+      const labelMap = {};
+      data.intelligence.forEach(item => {
+        if (item.image) {
+          const label = hashLabel(item.image);
+          labelMap[label] = localize(item.description) || item.image;
+        }
+      });
+      return labelMap;
+    };
 
     // Sort newest first by date; notes sort before screenshots on the same date
     const sorted = data.intelligence.sort((a, b) => {
@@ -204,14 +195,21 @@ export async function initIntelligence(containerId, dataUrl, imageBase) {
       return aNote - bNote;
     });
 
-    sorted.forEach(item => {
-      if (item.type === 'note') {
-        container.appendChild(renderNote(item, labelMap));
-      } else {
-        const label = hashLabel(item.image);
-        container.appendChild(renderScreenshot(item, imageBase, label));
-      }
-    });
+    const renderFeed = () => {
+      const labelMap = buildLabelMap();
+      container.innerHTML = '';
+      sorted.forEach(item => {
+        if (item.type === 'note') {
+          container.appendChild(renderNote(item, labelMap));
+        } else {
+          const label = hashLabel(item.image);
+          container.appendChild(renderScreenshot(item, imageBase, label));
+        }
+      });
+    };
+
+    renderFeed();
+    document.addEventListener('languagechange', renderFeed);
 
   } catch (err) {
     container.innerHTML = `
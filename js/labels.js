@@ -0,0 +1,33 @@
+/**
+ * labels.js — Stable short anchor labels for intelligence items.
+ *
+ * Screenshots are labelled from their filename (#ev-label) and notes from
+ * their date and first line (#note-label). The page and the feeds built by
+ * scripts/build-feeds.mjs both link to these anchors, so both import them
+ * from here. No DOM access.
+ */
+
+/**
+ * Generate a stable short hex label from a string (FNV-1a 32-bit, truncated to 6 hex chars).
+ */
+export function hashLabel(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0').slice(0, 6);
+}
+
+/**
+ * Stable label for a note. Per-locale markdown is labelled from its English
+ * variant, or the first variant when there is no English one, so the label
+ * does not change with the reader's language.
+ */
+export function noteLabel(item) {
+  const markdown = typeof item.markdown === 'string'
+    ? item.markdown
+    : item.markdown?.en ?? Object.values(item.markdown || {})[0];
+  const firstLine = (markdown || '').split('\n')[0];
+  return hashLabel(`${item.date}\n${firstLine}`);
+}
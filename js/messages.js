@@ -0,0 +1,251 @@
+/**
+ * messages.js — Message thread between a submitter and the site operator on status.html.
+ *
+ * Operator replies sit on the left with a blue edge; the submitter's own
+ * messages sit on the right. Operator messages the submitter has not seen
+ * yet are marked "new", counted in the thread header and the page title, and
+ * marked read once the thread scrolls into view. The thread refreshes while
+ * the page is visible so replies show up without a reload.
+ *
+ * The submitter can switch `contactable` on and off here. With it off, the
+ * thread stays readable but the reply box is replaced by an opt-in prompt.
+ */
+
+import { apiGet, apiPost, apiPatch, ApiError } from './api.js';
+import { formatDateTime, formatNumber } from './i18n.js';
+
+const MAX_MESSAGE = 4_000;
+const POLL_INTERVAL = 60_000;
+
+const BUTTON_CLS =
+  'px-4 py-1.5 bg-psn-blue text-white text-xs font-mono font-medium rounded ' +
+  'hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-psn-blue/50 transition-colors';
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function formatDate(isoStr) {
+  try {
+    return formatDateTime(new Date(isoStr + 'Z'));
+  } catch {
+    return isoStr;
+  }
+}
+
+function query(token) {
+  return `?token=${encodeURIComponent(token)}`;
+}
+
+function isUnread(message) {
+  return message.from === 'operator' && !message.read_at;
+}
+
+function renderMessage(message) {
+  const fromOperator = message.from === 'operator';
+  const cls = fromOperator
+    ? 'me-8 border-s-2 border-psn-blue bg-psn-blue/5'
+    : 'ms-8 bg-psn-dark';
+  return `
+    <li class="${cls} border border-psn-border rounded-lg p-4" data-message-id="${escapeHtml(message.id)}">
+      <div class="flex items-center gap-2 mb-2 text-xs font-mono">
+        <span class="${fromOperator ? 'text-psn-blue font-bold' : 'text-gray-400'}">${fromOperator ? 'Site operator' : 'You'}</span>
+        <time class="text-gray-600" data-iso="${escapeHtml(message.created_at)}">${formatDate(message.created_at)}</time>
+        ${isUnread(message) ? '<span class="message-new ms-auto px-1.5 rounded bg-psn-blue text-white text-[10px] uppercase">New</span>' : ''}
+      </div>
+      <p class="text-gray-300 text-sm leading-relaxed whitespace-pre-wrap">${escapeHtml(message.body)}</p>
+    </li>`;
+}
+
+function renderThread(messages) {
+  if (messages.length === 0) {
+    return '<p class="text-gray-600 text-xs font-mono">No messages yet.</p>';
+  }
+  return `<ol class="space-y-3">${messages.map(renderMessage).join('')}</ol>`;
+}
+
+function renderContactToggle(contactable) {
+  return `
+    <div class="flex flex-wrap items-center gap-2 text-xs font-mono text-gray-500">
+      <span class="w-2 h-2 rounded-full ${contactable ? 'bg-terminal-green' : 'bg-gray-600'} inline-block"></span>
+      <span>${contactable
+        ? 'You have opted in to be contacted by the site operator.'
+        : 'The site operator cannot contact you.'}</span>
+      <button type="button" id="contact-toggle" class="text-psn-blue hover:text-blue-400 transition-colors">
+        ${contactable ? 'Turn off' : 'Allow contact'}
+      </button>
+      <span id="contact-status" class="text-red-400 hidden"></span>
+    </div>`;
+}
+
+function renderReplyBox(contactable) {
+  if (!contactable) {
+    return `
+      <p class="text-gray-500 text-xs font-mono mt-4">
+        Allow contact to send the site operator a message.
+      </p>`;
+  }
+  return `
+    <div class="mt-4">
+      <label for="message-body" class="sr-only">Message to the site operator</label>
+      <textarea id="message-body" rows="3" maxlength="${MAX_MESSAGE}"
+                placeholder="Write to the site operator"
+                class="w-full bg-psn-dark border border-psn-border rounded px-3 py-2 text-sm text-gray-200 font-mono
+                       placeholder-gray-600 focus:outline-none focus:border-psn-blue focus:ring-1 focus:ring-psn-blue/50
+                       transition-colors resize-y"></textarea>
+      <div class="flex items-center gap-3 mt-2">
+        <button type="button" id="message-send" class="${BUTTON_CLS}">Send</button>
+        <span id="message-status" class="text-xs font-mono hidden"></span>
+      </div>
+    </div>`;
+}
+
+/**
+ * Markup for the messages section. Filled in by initMessages().
+ * @returns {string}
+ */
+export function renderMessagesSection() {
+  return `
+    <section id="messages" class="bg-psn-surface border border-psn-border rounded-lg p-6 mb-8"
+             aria-labelledby="messages-title">
+      <div class="flex items-center gap-3 mb-4">
+        <h2 id="messages-title" class="font-mono font-bold text-white text-sm">Messages</h2>
+        <span id="messages-unread" class="hidden px-2 rounded-full bg-psn-blue text-white text-xs font-mono"></span>
+      </div>
+      <div id="messages-contact" class="mb-4"></div>
+      <div id="messages-thread">
+        <p class="text-gray-600 text-xs font-mono">Loading messages...</p>
+      </div>
+      <div id="messages-reply"></div>
+    </section>`;
+}
+
+/**
+ * Load and wire the thread rendered by renderMessagesSection().
+ * @param {HTMLElement} section - The #messages element
+ * @param {string} token
+ * @param {boolean} contactable - Current opt-in state from /report/entries
+ * @param {function(number): void} [onUnread] - Called with the unread count after each load
+ */
+export function initMessages(section, token, contactable, onUnread = () => {}) {
+  const threadEl = section.querySelector('#messages-thread');
+  const unreadEl = section.querySelector('#messages-unread');
+  const contactEl = section.querySelector('#messages-contact');
+  const replyEl = section.querySelector('#messages-reply');
+  const baseTitle = document.title.replace(/^\(\d+\) /, '');
+
+  let messages = [];
+  let visible = false;
+  let marking = false;
+
+  const showUnread = () => {
+    const unread = messages.filter(isUnread).length;
+    unreadEl.textContent = `${formatNumber(unread)} new`;
+    unreadEl.classList.toggle('hidden', unread === 0);
+    document.title = unread > 0 ? `(${unread}) ${baseTitle}` : baseTitle;
+    onUnread(unread);
+  };
+
+  const markRead = async () => {
+    const ids = messages.filter(isUnread).map(m => m.id);
+    if (ids.length === 0 || marking) return;
+    marking = true;
+    try {
+      await apiPost(`/report/messages/read${query(token)}`, { ids });
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+      messages.forEach(m => { if (ids.includes(m.id)) m.read_at = now; });
+      showUnread();
+    } catch (err) {
+      console.error('Mark read error:', err);
+    } finally {
+      marking = false;
+    }
+  };
+
+  const load = async () => {
+    try {
+      const data = await apiGet(`/report/messages${query(token)}`);
+      messages = data.messages || [];
+      threadEl.innerHTML = renderThread(messages);
+      showUnread();
+      if (visible) markRead();
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 401) return;
+      threadEl.innerHTML = '<p class="text-red-400 text-xs font-mono">Failed to load messages.</p>';
+      console.error('Messages load error:', err);
+    }
+  };
+
+  const renderControls = () => {
+    contactEl.innerHTML = renderContactToggle(contactable);
+    replyEl.innerHTML = renderReplyBox(contactable);
+    wireContactToggle();
+    wireReply();
+  };
+
+  const wireContactToggle = () => {
+    const btn = contactEl.querySelector('#contact-toggle');
+    const statusEl = contactEl.querySelector('#contact-status');
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        await apiPatch(`/report/contactable${query(token)}`, { contactable: !contactable });
+        contactable = !contactable;
+        renderControls();
+      } catch (err) {
+        statusEl.textContent = err.message || 'Failed to update. Please try again.';
+        statusEl.classList.remove('hidden');
+        btn.disabled = false;
+      }
+    });
+  };
+
+  const wireReply = () => {
+    const textarea = replyEl.querySelector('#message-body');
+    const sendBtn = replyEl.querySelector('#message-send');
+    const statusEl = replyEl.querySelector('#message-status');
+    if (!textarea || !sendBtn) return;
+
+    sendBtn.addEventListener('click', async () => {
+      const body = textarea.value.trim();
+      if (!body) return;
+      sendBtn.disabled = true;
+      sendBtn.classList.add('opacity-50', 'cursor-not-allowed');
+      statusEl.classList.add('hidden');
+      try {
+        await apiPost(`/report/messages${query(token)}`, { body });
+        textarea.value = '';
+        await load();
+      } catch (err) {
+        statusEl.textContent = err.message || 'Failed to send. Please try again.';
+        statusEl.className = 'text-xs font-mono text-red-400';
+      } finally {
+        sendBtn.disabled = false;
+        sendBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+      }
+    });
+  };
+
+  // Messages count as read once the thread has actually been on screen
+  if ('IntersectionObserver' in window) {
+    new IntersectionObserver((observed) => {
+      visible = observed.some(e => e.isIntersecting);
+      if (visible) markRead();
+    }).observe(threadEl);
+  } else {
+    visible = true;
+  }
+
+  renderControls();
+  load();
+
+  const timer = setInterval(() => {
+    if (!section.isConnected) {
+      clearInterval(timer);
+      return;
+    }
+    if (document.visibilityState === 'visible') load();
+  }, POLL_INTERVAL);
+}
@@ -1,7 +1,51 @@
 /**
- * nav.js — Mobile menu toggle and active page highlighting.
+ * nav.js — Mobile menu toggle, active page highlighting and language picker.
  */
 
+import { getLanguage, getSupportedLanguages, setLanguage } from './i18n.js';
+
+/**
+ * Inject a language <select> into the top nav bar, next to the menu toggle.
+ */
+function initLanguagePicker() {
+  const bar = document.querySelector('nav > div:first-child');
+  if (!bar || bar.querySelector('#lang-picker')) return;
+
+  const wrapper = document.createElement('label');
+  wrapper.className = 'ms-auto me-3 md:ms-4 md:me-0 flex-shrink-0';
+
+  const hint = document.createElement('span');
+  hint.className = 'sr-only';
+  hint.textContent = 'Language';
+  wrapper.appendChild(hint);
+
+  const select = document.createElement('select');
+  select.id = 'lang-picker';
+  select.className = 'bg-psn-dark border border-psn-border rounded px-2 py-1 text-xs font-mono text-gray-400 ' +
+    'hover:text-terminal-green focus:outline-none focus:border-psn-blue focus:ring-1 focus:ring-psn-blue/50 ' +
+    'transition-colors cursor-pointer';
+
+  getSupportedLanguages().forEach(({ code, name }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = getLanguage();
+
+  select.addEventListener('change', () => setLanguage(select.value));
+
+  // initI18n() may pick a language after the nav is built
+  document.addEventListener('languagechange', (e) => {
+    select.value = e.detail.lang;
+  });
+
+  wrapper.appendChild(select);
+  const toggle = bar.querySelector('#nav-toggle');
+  bar.insertBefore(wrapper, toggle);
+}
+
 export function initNav() {
   const toggle = document.getElementById('nav-toggle');
   const menu = document.getElementById('nav-menu');
@@ -30,4 +74,6 @@ export function initNav() {
       link.classList.add('text-terminal-green');
     }
   });
+
+  initLanguagePicker();
 }
@@ -0,0 +1,147 @@
+/**
+ * pii.js — Finds and masks personal details in free text.
+ *
+ * Detects email addresses, phone numbers, PSN online IDs and @handles,
+ * payment card numbers (Luhn-checked), IP addresses, and transaction, order
+ * and support case numbers. Used by status.js to warn a reporter before an
+ * entry is sent, and by admin/moderation.js and scripts/anonymise.mjs to
+ * produce text fit for an incident's `detail` field.
+ *
+ * Pattern matching, not understanding: it misses things written out in words
+ * and can flag harmless numbers, so it assists a human read-through rather
+ * than replacing one. No DOM access, so Node scripts can import it too.
+ */
+
+/**
+ * Detector order matters: earlier detectors claim their text first, so a card
+ * number is never also reported as a phone number.
+ */
+const DETECTORS = [
+  {
+    type: 'email',
+    label: 'email address',
+    placeholder: '[email]',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+  },
+  {
+    type: 'card',
+    label: 'card number',
+    placeholder: '[card number]',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (match) => luhn(match.replace(/\D/g, '')),
+  },
+  {
+    type: 'transaction',
+    label: 'transaction or case number',
+    placeholder: '[reference number]',
+    pattern: /\b(?:transaction|order|case|ticket|reference|ref|invoice)(?:\s*(?:id|number|no\.?|#))?\s*[:#]?\s*((?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{5,})/gi,
+    group: 1,
+  },
+  {
+    type: 'ip',
+    label: 'IP address',
+    placeholder: '[IP address]',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi,
+  },
+  {
+    type: 'phone',
+    label: 'phone number',
+    placeholder: '[phone number]',
+    pattern: /(?:\+|\b)\d(?:[\s().-]{0,2}\d){7,14}\b/g,
+    // Dates such as 2026-01-15 or 15.01.2026 are not phone numbers
+    accept: (match) => !/^\d{4}-\d{2}-\d{2}$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(match),
+  },
+  {
+    type: 'online_id',
+    label: 'PSN online ID',
+    placeholder: '[online ID]',
+    pattern: /\b(?:psn(?:\s*(?:id|name))?|online\s*id|gamertag|user\s*name|username)\s*(?:is|was|:|=|-)?\s*["'“‘]?([A-Za-z][A-Za-z0-9_-]{2,15})\b/gi,
+    group: 1,
+    // "my PSN is hacked" names no ID
+    accept: (match) => !STOPWORDS.has(match.toLowerCase()),
+  },
+  {
+    type: 'handle',
+    label: 'handle',
+    placeholder: '[handle]',
+    pattern: /(?<![\w.@])@[A-Za-z0-9_](?:[A-Za-z0-9_.]{0,28}[A-Za-z0-9_])?/g,
+  },
+];
+
+const STOPWORDS = new Set([
+  'and', 'account', 'was', 'is', 'got', 'has', 'had', 'hacked', 'stolen', 'changed',
+  'the', 'my', 'which', 'that', 'support', 'email', 'password', 'login', 'not', 'still',
+]);
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+/**
+ * Find personal details in `text`, in order of appearance.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string[]} [opts.keep] - Values to leave alone (e.g. a hacker's
+ *   already-published handle); compared case-insensitively
+ * @returns {Array<{ type: string, label: string, value: string, index: number }>}
+ */
+export function scanPii(text, { keep = [] } = {}) {
+  if (!text) return [];
+  const kept = new Set(keep.map(k => k.toLowerCase()));
+  const claimed = [];
+  const findings = [];
+
+  const overlaps = (start, end) => claimed.some(([s, e]) => start < e && end > s);
+
+  DETECTORS.forEach(detector => {
+    for (const m of text.matchAll(detector.pattern)) {
+      const value = detector.group ? m[detector.group] : m[0];
+      const index = m.index + (detector.group ? m[0].lastIndexOf(value) : 0);
+      const end = index + value.length;
+      if (overlaps(index, end)) continue;
+      if (detector.accept && !detector.accept(value)) continue;
+      claimed.push([index, end]);
+      if (kept.has(value.toLowerCase())) continue;
+      findings.push({ type: detector.type, label: detector.label, value, index });
+    }
+  });
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Replace every finding with a placeholder such as "[email]".
+ * @param {string} text
+ * @param {object} [opts] - As for scanPii()
+ * @returns {{ text: string, findings: Array }}
+ */
+export function redactPii(text, opts) {
+  const findings = scanPii(text, opts);
+  let out = text || '';
+  // Replace from the end so earlier indexes stay valid
+  [...findings].reverse().forEach(f => {
+    const placeholder = DETECTORS.find(d => d.type === f.type).placeholder;
+    out = out.slice(0, f.index) + placeholder + out.slice(f.index + f.value.length);
+  });
+  return { text: out, findings };
+}
+
+/**
+ * Count findings per label, e.g. { "email address": 2 }.
+ * @param {Array} findings
+ * @returns {object}
+ */
+export function summarisePii(findings) {
+  const counts = {};
+  findings.forEach(f => { counts[f.label] = (counts[f.label] || 0) + 1; });
+  return counts;
+}
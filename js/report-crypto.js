@@ -0,0 +1,132 @@
+/**
+ * report-crypto.js — Browser-side encryption of report entries (WebCrypto).
+ *
+ * An encrypted entry never reaches the API as plain text. Each entry gets a
+ * fresh AES-256-GCM content key; the entry's text and structured details are
+ * encrypted with it, and the content key is then wrapped twice:
+ *   - with the site operator's published RSA-OAEP public key, so only the
+ *     operator's offline private key can read it (scripts/decrypt-entries.mjs)
+ *   - with an AES-KW key derived from the reporter's token (HKDF-SHA-256), so
+ *     status.html can show reporters their own entries
+ *
+ * The backend sees the token on every request, so the token-derived copy
+ * protects stored entries (backups, a leaked database) rather than against
+ * a backend that is itself compromised while a reporter is using their link.
+ *
+ * Envelope format (v1), posted as `encrypted` in place of content/details:
+ *   { v, kid, iv, ciphertext, operator_key, owner_key }   (binary fields base64)
+ */
+
+const ENVELOPE_VERSION = 1;
+const HKDF_SALT = 'psn-security-incidents.org/report-entry';
+const HKDF_INFO = 'owner-key-v1';
+
+const keyCache = new Map();
+
+const encoder = new TextEncoder();
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Whether this browser can encrypt entries at all.
+ */
+export function cryptoAvailable() {
+  return Boolean(window.crypto && window.crypto.subtle);
+}
+
+/**
+ * Fetch and import the operator's public key. Resolves to null when no key
+ * is published or the browser lacks WebCrypto; the result is cached per URL.
+ * @param {string} url - URL of the { kid, jwk } key file
+ * @returns {Promise<{ kid: string, key: CryptoKey } | null>}
+ */
+export function loadOperatorKey(url) {
+  if (!keyCache.has(url)) {
+    keyCache.set(url, (async () => {
+      if (!cryptoAvailable()) return null;
+      try {
+        const resp = await fetch(url);
+        if (!resp.ok) return null;
+        const { kid, jwk } = await resp.json();
+        const key = await crypto.subtle.importKey(
+          'jwk', jwk, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey'],
+        );
+        return { kid, key };
+      } catch (err) {
+        console.error('Operator key error:', err);
+        return null;
+      }
+    })());
+  }
+  return keyCache.get(url);
+}
+
+async function ownerKey(token) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(token), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(HKDF_SALT), info: encoder.encode(HKDF_INFO) },
+    material,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey'],
+  );
+}
+
+/**
+ * Encrypt an entry payload for the operator and for the token holder.
+ * @param {{ content: string, details?: object }} payload
+ * @param {string} token
+ * @param {{ kid: string, key: CryptoKey }} operator - From loadOperatorKey()
+ * @returns {Promise<object>} Envelope to post as `encrypted`
+ */
+export async function encryptEntry(payload, token, operator) {
+  const cek = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, cek, encoder.encode(JSON.stringify(payload)),
+  );
+
+  const [operatorKey, owner] = await Promise.all([
+    crypto.subtle.wrapKey('raw', cek, operator.key, { name: 'RSA-OAEP' }),
+    ownerKey(token).then(kek => crypto.subtle.wrapKey('raw', cek, kek, 'AES-KW')),
+  ]);
+
+  return {
+    v: ENVELOPE_VERSION,
+    kid: operator.kid,
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+    operator_key: toBase64(operatorKey),
+    owner_key: toBase64(owner),
+  };
+}
+
+/**
+ * Decrypt an envelope with the token it was written under.
+ * @param {object} envelope
+ * @param {string} token
+ * @returns {Promise<{ content: string, details?: object }>}
+ */
+export async function decryptEntry(envelope, token) {
+  if (envelope.v !== ENVELOPE_VERSION) throw new Error(`Unsupported envelope version ${envelope.v}`);
+  const kek = await ownerKey(token);
+  const cek = await crypto.subtle.unwrapKey(
+    'raw', fromBase64(envelope.owner_key), kek, 'AES-KW', { name: 'AES-GCM' }, false, ['decrypt'],
+  );
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) }, cek, fromBase64(envelope.ciphertext),
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -0,0 +1,180 @@
+/**
+ * report-export.js — Download, print and re-import a submitter's report (status.html).
+ *
+ * The JSON export holds every readable entry oldest first, with its text,
+ * structured details and timestamps, and nothing that identifies the link
+ * (no token, no entry or attachment ids). The printable view is a
+ * standalone page with the same timeline and the attachments inline, meant
+ * for "Save as PDF" and for the recovery folder the recovery guide asks
+ * victims to keep.
+ *
+ * A JSON export can be imported into a report opened with a new link; see
+ * parseExport() for what is accepted.
+ */
+
+const EXPORT_FORMAT = 'psn-security-incidents.org/report-export';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+const MAX_IMPORT_ENTRIES = 200;
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ── JSON ────────────────────────────────────────────────────────────
+
+/**
+ * Build the export object from readable entries.
+ * @param {object[]} entries - As shown on the page (decrypted where possible)
+ * @returns {object}
+ */
+export function buildExport(entries) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
+    entries: entries
+      .filter(e => !e.unreadable)
+      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+      .map(e => ({
+        created_at: e.created_at,
+        ...(e.updated_at && e.updated_at !== e.created_at && { updated_at: e.updated_at }),
+        content: e.content || '',
+        ...(e.details && { details: e.details }),
+        ...(e.attachments?.length && { attachments: e.attachments.map(a => ({ type: a.type })) }),
+      })),
+  };
+}
+
+/**
+ * Save an export object as a .json download.
+ * @param {object} data - From buildExport()
+ */
+export function downloadExport(data) {
+  const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' });
+  saveFile(blob, `psn-report-${today()}.json`);
+}
+
+/**
+ * Read a file chosen for import and check it is an export from this site.
+ * Details are passed through as found; the caller decides which keys and
+ * values to keep.
+ * @param {File} file
+ * @returns {Promise<Array<{ created_at: string, content: string, details: object|null }>>}
+ * @throws {Error} With a message fit to show the user
+ */
+export async function parseExport(file) {
+  if (file.size > MAX_IMPORT_SIZE) throw new Error('This file is too large to be a report export.');
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error('This file is not a report export (it is not valid JSON).');
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error('This file is not a report export from this site.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('This export was made by a newer version of the site. Reload the page and try again.');
+  }
+  if (data.entries.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(`An export can hold at most ${MAX_IMPORT_ENTRIES} entries.`);
+  }
+
+  return data.entries
+    .filter(e => e && (typeof e.content === 'string' || (e.details && typeof e.details === 'object')))
+    .map(e => ({
+      created_at: typeof e.created_at === 'string' ? e.created_at : '',
+      content: typeof e.content === 'string' ? e.content : '',
+      details: e.details && typeof e.details === 'object' && !Array.isArray(e.details) ? e.details : null,
+    }));
+}
+
+// ── Printable view ──────────────────────────────────────────────────
+
+const PRINT_STYLES = `
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.4rem; margin: 0 0 .25rem; }
+  .meta { color: #555; font-size: .85rem; margin: 0 0 1.5rem; }
+  .toolbar { margin-bottom: 1.5rem; }
+  article { border-top: 1px solid #ccc; padding: 1rem 0; break-inside: avoid; }
+  time { font-weight: 600; }
+  .utc, .edited { color: #555; font-size: .8rem; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: .15rem 1rem; font-size: .85rem; margin: .75rem 0; }
+  dt { color: #555; }
+  dd { margin: 0; white-space: pre-wrap; }
+  .content { white-space: pre-wrap; margin: .75rem 0 0; }
+  .attachments { display: flex; flex-wrap: wrap; gap: .5rem; margin-top: .75rem; }
+  .attachments img { max-width: 100%; max-height: 24rem; border: 1px solid #ccc; }
+  @media print { .toolbar { display: none; } body { margin: 0; } }`;
+
+/**
+ * Markup for a standalone printable timeline.
+ * @param {Array<{ created: string, createdUtc: string, edited: string|null, rows: Array<[string, string]>,
+ *   content: string, images: string[], pdfs: number }>} items - Entries, oldest first, already formatted
+ * @returns {string}
+ */
+export function renderPrintView(items) {
+  const articles = items.map(item => `
+    <article>
+      <div><time>${escapeHtml(item.created)}</time> <span class="utc">(${escapeHtml(item.createdUtc)} UTC)</span></div>
+      ${item.edited ? `<div class="edited">Edited ${escapeHtml(item.edited)}</div>` : ''}
+      ${item.rows.length ? `<dl>${item.rows.map(([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>` : ''}
+      ${item.content ? `<p class="content">${escapeHtml(item.content)}</p>` : ''}
+      ${item.images.length ? `<div class="attachments">${item.images.map((src, i) =>
+        `<img src="${escapeHtml(src)}" alt="Attachment ${i + 1}">`).join('')}</div>` : ''}
+      ${item.pdfs ? `<p class="edited">${item.pdfs} PDF attachment${item.pdfs === 1 ? '' : 's'} not shown.</p>` : ''}
+    </article>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>PSN account incident timeline — ${today()}</title>
+  <style>${PRINT_STYLES}</style>
+</head>
+<body>
+  <h1>PSN account incident timeline</h1>
+  <p class="meta">
+    ${items.length} ${items.length === 1 ? 'entry' : 'entries'}, exported ${escapeHtml(new Date().toUTCString())}
+    from psn-security-incidents.org. Keep a copy in your recovery folder.
+  </p>
+  <div class="toolbar"><button type="button" onclick="print()">Print or save as PDF</button></div>
+  ${articles || '<p>No entries.</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Open the printable view in a new tab, or download it as an .html file
+ * when the browser blocks the tab.
+ * @param {string} html - From renderPrintView()
+ */
+export function openPrintView(html) {
+  const blob = new Blob([html], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+  const win = window.open(url, '_blank');
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  if (!win) saveFile(blob, `psn-report-${today()}.html`);
+}
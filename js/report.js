@@ -1,19 +1,23 @@
 /**
- * report.js — Wires up the email form on report.html.
+ * report.js — Wires up report.html: the email-link form for incident reports
+ * and, behind the "tip" toggle, the anonymous tip form from tip.js.
  */
 
 import { apiPost, ApiError } from './api.js';
+import { initTipForm } from './tip.js';
 
 const INTRO_INCIDENT =
   'Submit an anonymous report of your PSN account theft. Especially if the account was protected by two-factor either SMS or passkey. You do not need to reveal your PSN Id, email, or anything else private. Stories are reviewed and if the details add up, they will be published in the Incidents page, suitably anonymized.';
 
 const INTRO_TIP =
-  'Anonymously report intelligence on the identity, accounts or related information on PSN hackers. Your email is used only to send you a secure link and is never published or shared.';
+  'Anonymously report intelligence on the identity, accounts or related information on PSN hackers. No email is needed: tips are sent directly and nothing links them to you.';
 
 function initToggle() {
   const btnIncident = document.getElementById('toggle-incident');
   const btnTip = document.getElementById('toggle-tip');
   const intro = document.getElementById('report-intro');
+  const incidentPanel = document.getElementById('report-incident-panel');
+  const tipPanel = document.getElementById('report-tip-panel');
   if (!btnIncident || !btnTip || !intro) return;
 
   const activeClasses = ['bg-psn-blue', 'text-white'];
@@ -25,10 +29,20 @@ function initToggle() {
     inactive.classList.remove(...activeClasses);
     inactive.classList.add(...inactiveClasses);
     intro.textContent = text;
+
+    const tip = active === btnTip;
+    incidentPanel?.classList.toggle('hidden', tip);
+    tipPanel?.classList.toggle('hidden', !tip);
+    // Rendered on first use so the incident path never loads the form
+    if (tip && tipPanel && !tipPanel.hasChildNodes()) initTipForm(tipPanel);
+    history.replaceState(null, '', tip ? '#tip' : location.pathname + location.search);
   }
 
   btnIncident.addEventListener('click', () => activate(btnIncident, btnTip, INTRO_INCIDENT));
   btnTip.addEventListener('click', () => activate(btnTip, btnIncident, INTRO_TIP));
+
+  // report.html#tip opens straight into the tip form
+  if (location.hash === '#tip') activate(btnTip, btnIncident, INTRO_TIP);
 }
 
 function initRevealEmail() {
@@ -0,0 +1,248 @@
+/**
+ * stats.js — Aggregate statistics built from the incidents JSON data file.
+ * Vanilla JS, no dependencies. Counts incidents per outcome status, tag,
+ * source platform and month, and draws each as an inline SVG bar chart.
+ * Bars link through to the matching filtered view on incidents.html.
+ * Numbers and month labels follow the active language.
+ */
+
+import { STATUS_STYLES, PLATFORM_LABELS, statusKey, platformKey } from './incidents.js';
+import { formatDate, formatNumber } from './i18n.js';
+
+const BAR_ROW = 24;
+const BAR_GAP = 6;
+const LABEL_WIDTH = 190;
+const CHART_WIDTH = 640;
+
+const COLUMN_WIDTH = 28;
+const COLUMN_HEIGHT = 140;
+
+// Tag marking accounts lost despite two-factor protection
+const TWO_FACTOR_TAG = '2fa-bypass';
+
+function escapeHtml(str) {
+  const el = document.createElement('span');
+  el.textContent = str;
+  return el.innerHTML;
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Every YYYY-MM month from `first` to `last` inclusive.
+ */
+function monthRange(first, last) {
+  const months = [];
+  let [y, m] = first.split('-').map(Number);
+  const [endY, endM] = last.split('-').map(Number);
+  while (y < endY || (y === endY && m <= endM)) {
+    months.push(`${y}-${String(m).padStart(2, '0')}`);
+    m += 1;
+    if (m > 12) { m = 1; y += 1; }
+  }
+  return months;
+}
+
+/**
+ * Compute aggregate counts over a list of incidents.
+ * Platforms count incidents citing at least one source on that platform;
+ * months use the incident date and skip year-only dates.
+ * @param {object[]} incidents
+ * @returns {{ total: number, byStatus: object, byTag: object, byPlatform: object, byMonth: object }}
+ */
+export function computeStats(incidents) {
+  const byStatus = Object.fromEntries(Object.keys(STATUS_STYLES).map(k => [k, 0]));
+  const byTag = {};
+  const byPlatform = {};
+  const byMonth = {};
+
+  incidents.forEach(incident => {
+    increment(byStatus, statusKey(incident));
+
+    (incident.tags || []).forEach(t => increment(byTag, t));
+
+    new Set((incident.sources || []).map(s => platformKey(s.platform)))
+      .forEach(p => increment(byPlatform, p));
+
+    if (incident.date && /^\d{4}-\d{2}/.test(incident.date)) {
+      increment(byMonth, incident.date.slice(0, 7));
+    }
+  });
+
+  // Fill in empty months so gaps show on the chart
+  const months = Object.keys(byMonth).sort();
+  if (months.length > 0) {
+    monthRange(months[0], months[months.length - 1]).forEach(m => {
+      if (!byMonth[m]) byMonth[m] = 0;
+    });
+  }
+
+  return { total: incidents.length, byStatus, byTag, byPlatform, byMonth };
+}
+
+// ── Charts ──────────────────────────────────────────────────────────
+
+/**
+ * Horizontal bar chart, one row per entry.
+ * @param {Array<{ label: string, value: number, href?: string, fill?: string }>} rows
+ * @param {string} title - Accessible name for the chart
+ * @returns {string} SVG markup
+ */
+function barChart(rows, title) {
+  if (rows.length === 0) {
+    return '<p class="text-gray-600 text-xs font-mono">No data.</p>';
+  }
+
+  const max = Math.max(1, ...rows.map(r => r.value));
+  const barSpace = CHART_WIDTH - LABEL_WIDTH - 40;
+  const height = rows.length * (BAR_ROW + BAR_GAP) - BAR_GAP;
+
+  const bars = rows.map((r, i) => {
+    const y = i * (BAR_ROW + BAR_GAP);
+    const w = r.value > 0 ? Math.max(2, Math.round((r.value / max) * barSpace)) : 0;
+    const row = `
+      <title>${escapeHtml(`${r.label}: ${formatNumber(r.value)}`)}</title>
+      <text x="${LABEL_WIDTH - 8}" y="${y + BAR_ROW / 2}" text-anchor="end" dominant-baseline="central"
+            class="fill-gray-400" font-size="11">${escapeHtml(r.label)}</text>
+      <rect x="${LABEL_WIDTH}" y="${y}" width="${w}" height="${BAR_ROW}" rx="3"
+            class="${r.fill || 'fill-psn-blue'}" opacity="0.8"/>
+      <text x="${LABEL_WIDTH + w + 6}" y="${y + BAR_ROW / 2}" dominant-baseline="central"
+            class="fill-gray-300" font-size="11" font-weight="700">${formatNumber(r.value)}</text>`;
+    return r.href
+      ? `<a href="${escapeHtml(r.href)}" class="hover:opacity-80">${row}</a>`
+      : `<g>${row}</g>`;
+  }).join('');
+
+  return `
+    <svg viewBox="0 0 ${CHART_WIDTH} ${height}" width="100%" role="img" aria-label="${escapeHtml(title)}"
+         class="font-mono block" style="max-width: ${CHART_WIDTH}px">${bars}</svg>`;
+}
+
+/**
+ * Vertical column chart of incidents per month.
+ * @param {object} byMonth - Map of YYYY-MM to count
+ * @returns {string} SVG markup
+ */
+function monthChart(byMonth) {
+  const months = Object.keys(byMonth).sort();
+  if (months.length === 0) {
+    return '<p class="text-gray-600 text-xs font-mono">No dated incidents.</p>';
+  }
+
+  const max = Math.max(1, ...months.map(m => byMonth[m]));
+  const labelSpace = 40;
+  const width = months.length * COLUMN_WIDTH;
+  const height = COLUMN_HEIGHT + labelSpace;
+
+  const columns = months.map((month, i) => {
+    const value = byMonth[month];
+    const x = i * COLUMN_WIDTH;
+    const h = Math.round((value / max) * (COLUMN_HEIGHT - 16));
+    const label = formatDate(month, { month: 'short', year: 'numeric' });
+    const cx = x + COLUMN_WIDTH / 2;
+    return `
+      <a href="incidents.html?from=${month}&amp;to=${month}" class="hover:opacity-80">
+        <title>${escapeHtml(`${label}: ${formatNumber(value)}`)}</title>
+        <rect x="${x + 4}" y="${COLUMN_HEIGHT - h}" width="${COLUMN_WIDTH - 8}" height="${h}" rx="2"
+              class="fill-psn-blue" opacity="0.8"/>
+        ${value > 0 ? `<text x="${cx}" y="${COLUMN_HEIGHT - h - 4}" text-anchor="middle"
+              class="fill-gray-300" font-size="10" font-weight="700">${formatNumber(value)}</text>` : ''}
+        <text x="${cx}" y="${COLUMN_HEIGHT + 8}" text-anchor="end" font-size="9" class="fill-gray-500"
+              transform="rotate(-45 ${cx} ${COLUMN_HEIGHT + 8})">${escapeHtml(label)}</text>
+      </a>`;
+  }).join('');
+
+  return `
+    <div class="overflow-x-auto">
+      <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img"
+           aria-label="Incidents per month" class="font-mono block">
+        <line x1="0" y1="${COLUMN_HEIGHT}" x2="${width}" y2="${COLUMN_HEIGHT}" class="stroke-psn-border" stroke-width="1"/>
+        ${columns}
+      </svg>
+    </div>`;
+}
+
+function section(title, body) {
+  return `
+    <section class="bg-psn-surface border border-psn-border rounded-lg p-5">
+      <h2 class="font-mono font-bold text-white text-sm mb-4">${escapeHtml(title)}</h2>
+      ${body}
+    </section>`;
+}
+
+function tile(value, label, href) {
+  return `
+    <a href="${escapeHtml(href)}" class="block bg-psn-surface border border-psn-border rounded-lg p-4
+              hover:border-psn-blue/60 transition-colors">
+      <div class="text-2xl font-mono font-bold text-white">${formatNumber(value)}</div>
+      <div class="text-xs font-mono text-gray-500 mt-1">${escapeHtml(label)}</div>
+    </a>`;
+}
+
+function renderStats(container, stats) {
+  const statusRows = Object.entries(STATUS_STYLES).map(([key, style]) => ({
+    label: style.label,
+    value: stats.byStatus[key] || 0,
+    href: `incidents.html?status=${key}`,
+    fill: style.dot.replace(/^bg-/, 'fill-'),
+  }));
+
+  const tagRows = Object.entries(stats.byTag)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag, value]) => ({ label: `#${tag}`, value, href: `incidents.html?tag=${encodeURIComponent(tag)}` }));
+
+  const platformRows = Object.entries(stats.byPlatform)
+    .sort((a, b) => b[1] - a[1])
+    .map(([platform, value]) => ({
+      label: PLATFORM_LABELS[platform] || platform,
+      value,
+      href: `incidents.html?platform=${platform}`,
+    }));
+
+  container.innerHTML = `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+      ${tile(stats.total, 'Documented incidents', 'incidents.html')}
+      ${tile(stats.byTag[TWO_FACTOR_TAG] || 0, 'Lost with 2FA enabled', `incidents.html?tag=${TWO_FACTOR_TAG}`)}
+      ${tile(stats.byStatus.unresolved || 0, 'Unresolved', 'incidents.html?status=unresolved')}
+      ${tile(stats.byStatus.banned || 0, 'Banned after hack', 'incidents.html?status=banned')}
+    </div>
+    ${section('By outcome status', barChart(statusRows, 'Incidents by outcome status'))}
+    ${section('By month', monthChart(stats.byMonth))}
+    ${section('By source platform', barChart(platformRows, 'Incidents by source platform'))}
+    ${section('By tag', barChart(tagRows, 'Incidents by tag'))}`;
+}
+
+/**
+ * Initialise the statistics dashboard.
+ * @param {string} containerId - DOM id of the container element
+ * @param {string} dataUrl - URL to the incidents JSON file
+ */
+export async function initStats(containerId, dataUrl) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  try {
+    const resp = await fetch(dataUrl);
+    if (!resp.ok) throw new Error(`Failed to load incidents: ${resp.status}`);
+    const data = await resp.json();
+
+    if (!data.incidents || data.incidents.length === 0) {
+      container.innerHTML = `<p class="text-center text-gray-500 font-mono py-8">No incidents documented yet.</p>`;
+      return;
+    }
+
+    const stats = computeStats(data.incidents);
+    renderStats(container, stats);
+    document.addEventListener('languagechange', () => renderStats(container, stats));
+
+  } catch (err) {
+    container.innerHTML = `
+      <div class="text-center text-red-400 py-8 font-mono text-sm">
+        <p>Failed to load statistics.</p>
+        <p class="text-gray-600 mt-1">${escapeHtml(err.message)}</p>
+      </div>`;
+    console.error('Stats init error:', err);
+  }
+}
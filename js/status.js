@@ -3,11 +3,121 @@
  *
  * Reads ?token= from the URL, fetches entries, and provides UI to
  * add new entries, delete individual entries, and delete all data.
+ *
+ * The token is moved out of the address bar into sessionStorage as soon as
+ * the page loads, so it does not linger in history, bookmarks or
+ * screenshots; it lasts until the tab is closed. The page shows when the
+ * link expires and lets the reporter have a fresh link emailed or revoke
+ * the current one:
+ *   POST   /report/refresh-link?token=   email a new link to the address on file
+ *   DELETE /report/token?token=          invalidate this link immediately
+ * Entries encrypted in the browser can only be read with the link they were
+ * written under, so both warn first when there are any and offer a download.
+ *
+ * In structured mode the entry form also asks for the facts an incident
+ * card needs (date of compromise, 2FA type, how access was lost, region,
+ * what support said, current outcome). They are posted as `details`
+ * alongside the free text; see js/incident-draft.js for how an approved
+ * entry becomes an incidents.json draft.
+ *
+ * Screenshots and PDFs can be attached to an entry (see evidence.js); they
+ * are uploaded first and the entry is posted with their ids.
+ *
+ * An entry's text can be edited in place; edited entries show when. The
+ * new-entry form autosaves a draft to localStorage under a hash of the token
+ * (never the token itself), so a reload or an expired link does not lose it.
+ *
+ * When the operator has published a public key, entries can be encrypted in
+ * the browser before they are posted (see report-crypto.js) and are
+ * decrypted here with the token for display and editing.
+ *
+ * The messages section (see messages.js) holds the thread with the operator
+ * and the switch for being contactable.
+ *
+ * While the reporter types, the text is scanned for personal details (see
+ * pii.js) and a warning offers to replace them with placeholders.
+ *
+ * The whole report can be downloaded as JSON or opened as a printable
+ * timeline, and a JSON export can be imported into a report opened with a
+ * new link (see report-export.js).
  */
 
-import { apiGet, apiPost, apiDelete, ApiError } from './api.js';
+import { apiGet, apiGetBlob, apiPost, apiPatch, apiDelete, ApiError } from './api.js';
+import { formatNumber, formatDate as formatDay, formatDateTime } from './i18n.js';
+import { renderAttachmentPicker, wireAttachmentPicker, renderAttachmentThumbs, wireAttachmentThumbs } from './evidence.js';
+import { loadOperatorKey, encryptEntry, decryptEntry } from './report-crypto.js';
+import { renderMessagesSection, initMessages } from './messages.js';
+import { scanPii, redactPii, summarisePii } from './pii.js';
+import { buildExport, downloadExport, parseExport, renderPrintView, openPrintView } from './report-export.js';
+import { REGION_NAMES } from './incident-draft.js';
 
 const MAX_CONTENT = 10_000;
+const MAX_SUPPORT_RESPONSE = 2_000;
+
+// Option values are mapped to incident tags by js/incident-draft.js
+const TWO_FACTOR_TYPES = {
+  none: 'None',
+  sms: 'SMS',
+  authenticator: 'Authenticator app',
+  passkey: 'Passkey',
+};
+
+const ACCESS_LOST_VIA = {
+  'support-engineering': 'Hacker convinced PlayStation support',
+  phishing: 'Phishing message or fake login page',
+  'password-leak': 'Reused or leaked password',
+  'sim-swap': 'SIM swap / phone number taken over',
+  unknown: "Don't know",
+  other: 'Other (describe below)',
+};
+
+// Keys match STATUS_STYLES in incidents.js
+const OUTCOMES = {
+  unknown: 'Not sure yet',
+  unresolved: 'Still locked out',
+  resolved: 'Account recovered',
+  restored: 'Account restored by PlayStation support',
+  banned: 'Account banned after the hack',
+};
+
+const DETAIL_LABELS = {
+  compromised_on: 'Compromised',
+  two_factor: '2FA',
+  access_lost_via: 'How',
+  region: 'Region',
+  support_response: 'Support said',
+  outcome: 'Outcome',
+};
+
+const DETAIL_FIELDS = {
+  compromised_on: '#detail-compromised-on',
+  two_factor: '#detail-two-factor',
+  access_lost_via: '#detail-access-lost-via',
+  region: '#detail-region',
+  support_response: '#detail-support-response',
+  outcome: '#detail-outcome',
+};
+
+// Text fields scanned for personal details before submission
+const PII_FIELDS = ['#entry-content', '#detail-support-response'];
+const PII_SCAN_DELAY = 300;
+
+const TOKEN_KEY = 'report-token';
+// Links expiring sooner than this are flagged
+const EXPIRY_WARNING = 24 * 60 * 60 * 1000;
+
+const DRAFT_PREFIX = 'report-draft:';
+const DRAFT_SAVE_DELAY = 400;
+
+const FIELD_CLS =
+  'w-full bg-psn-dark border border-psn-border rounded px-3 py-2 text-sm text-gray-200 font-mono ' +
+  'placeholder-gray-600 focus:outline-none focus:border-psn-blue focus:ring-1 focus:ring-psn-blue/50 transition-colors';
+
+// Resolves to the operator's public key, or null if none is published
+let operatorKeyReady = Promise.resolve(null);
+
+const MODE_ON_CLS = ['bg-psn-blue', 'text-white'];
+const MODE_OFF_CLS = ['text-gray-400', 'hover:text-gray-200'];
 
 function escapeHtml(str) {
   const div = document.createElement('div');
@@ -17,22 +127,67 @@ function escapeHtml(str) {
 
 function formatDate(isoStr) {
   try {
-    const d = new Date(isoStr + 'Z');
-    return d.toLocaleString(undefined, {
-      dateStyle: 'medium',
-      timeStyle: 'short',
-    });
+    return formatDateTime(new Date(isoStr + 'Z'));
   } catch {
     return isoStr;
   }
 }
 
+function charCountText(len) {
+  return `${formatNumber(len)} / ${formatNumber(MAX_CONTENT)}`;
+}
+
+/**
+ * Re-format entry dates and the character counter after a language switch.
+ */
+function relocalize(container) {
+  container.querySelectorAll('time[data-iso]').forEach(el => {
+    el.textContent = formatDate(el.dataset.iso);
+  });
+  const textarea = container.querySelector('#entry-content');
+  const charCount = container.querySelector('#char-count');
+  if (textarea && charCount) charCount.textContent = charCountText(textarea.value.length);
+}
+
+/**
+ * Take the token from ?token= into sessionStorage and strip it from the
+ * address bar; later loads in the same tab read it from sessionStorage.
+ */
 function getToken() {
   const params = new URLSearchParams(window.location.search);
-  return params.get('token');
+  const fromUrl = params.get('token');
+  if (fromUrl) {
+    params.delete('token');
+    const search = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    try {
+      sessionStorage.setItem(TOKEN_KEY, fromUrl);
+    } catch {
+      // Storage unavailable: the token still works for this page view
+    }
+    return fromUrl;
+  }
+  try {
+    return sessionStorage.getItem(TOKEN_KEY);
+  } catch {
+    return null;
+  }
 }
 
-export function initStatus() {
+function forgetToken() {
+  try {
+    sessionStorage.removeItem(TOKEN_KEY);
+  } catch {
+    // Nothing stored
+  }
+}
+
+/**
+ * Initialise the status page.
+ * @param {string} [operatorKeyUrl] - URL of the operator's public key file;
+ *   entries can only be encrypted when it loads
+ */
+export function initStatus(operatorKeyUrl) {
   const content = document.getElementById('status-content');
   if (!content) return;
 
@@ -40,11 +195,11 @@ export function initStatus() {
 
   if (!token) {
     content.innerHTML = `
-      <div class="text-center py-12">
-        <p class="text-gray-400 mb-4">No report token found.</p>
-        <p class="text-gray-600 text-xs font-mono mb-4">
-          search: ${escapeHtml(window.location.search)}<br>
-          href: ${escapeHtml(window.location.href)}
+      <div class="max-w-md mx-auto text-center py-12">
+        <p class="text-gray-300 mb-3">This page opens from the link in your report email.</p>
+        <p class="text-gray-500 text-sm leading-relaxed mb-6">
+          For your privacy the link is only remembered until you close this tab. Open the link
+          from your email again, or request a new one if you cannot find it.
         </p>
         <a href="/report.html" class="text-psn-blue hover:text-blue-400 font-mono text-sm transition-colors">
           Request a report link
@@ -53,7 +208,9 @@ export function initStatus() {
     return;
   }
 
+  if (operatorKeyUrl) operatorKeyReady = loadOperatorKey(operatorKeyUrl);
   loadEntries(content, token);
+  document.addEventListener('languagechange', () => relocalize(content));
 }
 
 async function loadEntries(container, token) {
@@ -63,17 +220,15 @@ async function loadEntries(container, token) {
     </div>`;
 
   try {
-    const data = await apiGet(`/report/entries?token=${encodeURIComponent(token)}`);
-    renderReport(container, token, data.entries, data.contactable);
+    const [data, operator] = await Promise.all([
+      apiGet(`/report/entries?token=${encodeURIComponent(token)}`),
+      operatorKeyReady,
+    ]);
+    const entries = await Promise.all(data.entries.map(entry => openEntry(entry, token)));
+    renderReport(container, token, entries, data, operator);
   } catch (err) {
     if (err instanceof ApiError && err.status === 401) {
-      container.innerHTML = `
-        <div class="text-center py-12">
-          <p class="text-gray-400 mb-2">This link has expired or is invalid.</p>
-          <a href="/report.html" class="text-psn-blue hover:text-blue-400 font-mono text-sm transition-colors">
-            Request a new link
-          </a>
-        </div>`;
+      renderExpired(container, token, 'This link has expired or is invalid.');
     } else {
       container.innerHTML = `
         <div class="text-center py-12">
@@ -86,27 +241,36 @@ async function loadEntries(container, token) {
   }
 }
 
-function renderReport(container, token, entries, contactable) {
-  const hasEntries = entries.length > 0;
+/**
+ * Decrypt an encrypted entry for display. Entries that cannot be decrypted
+ * with this token are marked unreadable rather than failing the page.
+ */
+async function openEntry(entry, token) {
+  if (!entry.encrypted) return entry;
+  try {
+    const payload = await decryptEntry(entry.encrypted, token);
+    return { ...entry, content: payload.content, details: payload.details, sealed: true };
+  } catch (err) {
+    console.error('Entry decrypt error:', err);
+    return { ...entry, content: '', details: null, sealed: true, unreadable: true };
+  }
+}
 
-  let html = '';
+function renderReport(container, token, entries, { contactable, expires_at: expiresAt }, operator) {
+  const hasEntries = entries.length > 0;
 
-  // Contactable status indicator
-  if (contactable) {
-    html += `
-      <div class="mb-6 flex items-center gap-2 text-xs font-mono text-gray-500">
-        <span class="w-2 h-2 rounded-full bg-terminal-green inline-block"></span>
-        You have opted in to be contacted by the site operator.
-      </div>`;
-  }
+  let html = renderLinkBar(expiresAt);
 
-  // Jump link for returning users
+  // Jump links for returning users
   if (hasEntries) {
     html += `
-      <div class="mb-6">
+      <div class="mb-6 flex flex-wrap gap-x-6 gap-y-2">
         <a href="#add-entry" class="text-psn-blue hover:text-blue-400 font-mono text-sm transition-colors">
           Jump to add new entry
         </a>
+        <a href="#messages" class="text-psn-blue hover:text-blue-400 font-mono text-sm transition-colors">
+          Messages<span id="jump-messages-unread" class="text-white"></span>
+        </a>
       </div>`;
   }
 
@@ -122,11 +286,14 @@ function renderReport(container, token, entries, contactable) {
       </div>`;
   }
 
+  // Thread with the operator, and the contactable switch
+  html += renderMessagesSection();
+
   // Existing entries
   if (hasEntries) {
     html += `<div class="space-y-4 mb-8">`;
     for (const entry of entries) {
-      html += renderEntryCard(entry, token);
+      html += renderEntryCard(entry);
     }
     html += `</div>`;
   }
@@ -137,6 +304,17 @@ function renderReport(container, token, entries, contactable) {
       <h2 class="font-mono font-bold text-white text-sm mb-4">
         ${hasEntries ? 'Add Another Entry' : 'Add Your First Entry'}
       </h2>
+      <div class="flex gap-1 bg-psn-dark border border-psn-border rounded-lg p-1 max-w-sm mb-4">
+        <button type="button" data-mode="structured"
+                class="entry-mode flex-1 px-3 py-1.5 text-xs font-mono font-medium rounded-md transition-colors">
+          Structured
+        </button>
+        <button type="button" data-mode="free"
+                class="entry-mode flex-1 px-3 py-1.5 text-xs font-mono font-medium rounded-md transition-colors">
+          Free text only
+        </button>
+      </div>
+      ${renderDetailFields()}
       <div class="relative">
         <textarea id="entry-content"
                   rows="8"
@@ -146,10 +324,29 @@ function renderReport(container, token, entries, contactable) {
                          text-sm text-gray-200 font-mono placeholder-gray-600
                          focus:outline-none focus:border-psn-blue focus:ring-1 focus:ring-psn-blue/50
                          transition-colors resize-y min-h-[120px]"></textarea>
-        <div class="text-right mt-1">
-          <span id="char-count" class="text-gray-600 text-xs font-mono">0 / ${MAX_CONTENT.toLocaleString()}</span>
+        <div class="flex items-center justify-between gap-3 mt-1">
+          <span class="text-gray-600 text-xs font-mono">
+            <span id="draft-status"></span>
+            <button type="button" id="draft-discard"
+                    class="hidden ms-2 text-gray-500 hover:text-red-400 transition-colors">Discard draft</button>
+          </span>
+          <span id="char-count" class="text-gray-600 text-xs font-mono">${charCountText(0)}</span>
         </div>
       </div>
+      <div id="pii-warning" class="hidden mt-3 border border-amber-500/30 bg-amber-500/10 rounded p-3
+                                   text-xs font-mono text-amber-300" role="status"></div>
+      ${renderAttachmentPicker()}
+      ${operator ? `
+        <label class="flex items-start gap-2 mt-4 text-xs font-mono text-gray-400 cursor-pointer">
+          <input id="entry-encrypt" type="checkbox" checked class="mt-0.5 accent-psn-blue">
+          <span>
+            Encrypt in my browser before sending. Only the site operator and this link can read
+            the text and details. Attachments are not encrypted.
+          </span>
+        </label>` : `
+        <p id="entry-plaintext" class="mt-4 text-xs font-mono text-gray-500">
+          Entries are not encrypted in your browser: the operator has not published a key.
+        </p>`}
       <div class="flex items-center gap-3 mt-4">
         <button id="submit-entry"
                 class="px-5 py-2.5 bg-psn-blue text-white text-sm font-mono font-medium rounded
@@ -161,6 +358,9 @@ function renderReport(container, token, entries, contactable) {
       </div>
     </div>`;
 
+  // Export, print and import
+  html += renderRecordsSection(hasEntries);
+
   // Delete all data
   html += `
     <div class="mt-12 pt-8 border-t border-psn-border">
@@ -173,35 +373,222 @@ function renderReport(container, token, entries, contactable) {
   container.innerHTML = html;
 
   // Wire up event listeners
-  wireEntryForm(container, token);
+  initMessages(container.querySelector('#messages'), token, contactable, (unread) => {
+    const jump = container.querySelector('#jump-messages-unread');
+    if (jump) jump.textContent = unread > 0 ? ` (${formatNumber(unread)} new)` : '';
+  });
+
+  wireLinkBar(container, token, entries);
+  wireAttachmentThumbs(container, token);
+  wirePiiWarning(container);
+
+  const draft = loadDraft(token);
+  wireEntryMode(container, draft?.mode || (hasEntries ? 'free' : 'structured'));
+  wireEntryForm(container, token, operator);
+  wireDraft(container, token, draft);
+  wireEditButtons(container, token, entries, operator);
   wireDeleteButtons(container, token);
   wireDeleteAll(container, token);
+  wireRecords(container, token, entries, operator);
+}
+
+function renderSelect(id, options) {
+  const opts = Object.entries(options)
+    .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+    .join('');
+  return `<select id="${id}" class="${FIELD_CLS}"><option value="">—</option>${opts}</select>`;
 }
 
-function renderEntryCard(entry, token) {
+function renderField(id, label, control) {
+  return `
+    <label for="${id}" class="block">
+      <span class="block text-gray-500 text-xs font-mono mb-1">${escapeHtml(label)}</span>
+      ${control}
+    </label>`;
+}
+
+/**
+ * Inputs for the structured entry mode, one per incidents.json fact.
+ */
+function renderDetailFields() {
+  return `
+    <fieldset id="entry-details" class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+      <legend class="sr-only">Incident details</legend>
+      ${renderField('detail-compromised-on', 'Date of compromise',
+        `<input id="detail-compromised-on" type="text" inputmode="numeric" placeholder="YYYY-MM-DD, or YYYY-MM if unsure"
+                class="${FIELD_CLS}">`)}
+      ${renderField('detail-two-factor', '2FA enabled at the time', renderSelect('detail-two-factor', TWO_FACTOR_TYPES))}
+      ${renderField('detail-access-lost-via', 'How access was lost', renderSelect('detail-access-lost-via', ACCESS_LOST_VIA))}
+      ${renderField('detail-region', 'Account region', renderSelect('detail-region', REGION_NAMES))}
+      ${renderField('detail-outcome', 'Current outcome', renderSelect('detail-outcome', OUTCOMES))}
+      <div class="md:col-span-2">
+        ${renderField('detail-support-response', 'What PlayStation support said',
+          `<textarea id="detail-support-response" rows="3" maxlength="${MAX_SUPPORT_RESPONSE}"
+                     placeholder="e.g. case number, what they asked for, whether they refused to help"
+                     class="${FIELD_CLS} resize-y"></textarea>`)}
+      </div>
+    </fieldset>`;
+}
+
+/**
+ * Collect the structured fields. Returns null when none are filled in, or
+ * { error } when the date is malformed or in the future.
+ */
+function readDetails(container) {
+  const details = {};
+  Object.entries(DETAIL_FIELDS).forEach(([key, selector]) => {
+    const value = container.querySelector(selector)?.value.trim();
+    if (value) details[key] = value;
+  });
+
+  const date = details.compromised_on;
+  if (date) {
+    if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(date)) {
+      return { error: 'Enter the date as YYYY-MM-DD, YYYY-MM or YYYY.' };
+    }
+    if (date > new Date().toISOString().slice(0, date.length)) {
+      return { error: 'The date of compromise is in the future.' };
+    }
+  }
+
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+function detailText(key, value) {
+  if (key === 'compromised_on') return formatDay(value);
+  const lookup = { two_factor: TWO_FACTOR_TYPES, access_lost_via: ACCESS_LOST_VIA, region: REGION_NAMES, outcome: OUTCOMES }[key];
+  return (lookup && lookup[value]) || value;
+}
+
+function renderDetails(details) {
+  const rows = Object.keys(DETAIL_LABELS)
+    .filter(key => details[key])
+    .map(key => `
+      <dt class="text-gray-600">${escapeHtml(DETAIL_LABELS[key])}</dt>
+      <dd class="text-gray-300 whitespace-pre-wrap">${escapeHtml(detailText(key, details[key]))}</dd>`)
+    .join('');
+  if (!rows) return '';
+  return `<dl class="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-xs font-mono mb-3">${rows}</dl>`;
+}
+
+function renderEntryCard(entry) {
+  const edited = entry.updated_at && entry.updated_at !== entry.created_at;
   return `
     <div class="bg-psn-surface border border-psn-border rounded-lg p-5" data-entry-id="${escapeHtml(entry.id)}">
       <div class="flex items-start justify-between gap-4 mb-3">
-        <span class="text-gray-500 text-xs font-mono">${formatDate(entry.created_at)}</span>
-        <button class="entry-delete text-gray-600 hover:text-red-400 text-xs font-mono transition-colors"
-                data-entry-id="${escapeHtml(entry.id)}">
-          Delete
-        </button>
+        <span class="text-gray-500 text-xs font-mono">
+          <time data-iso="${escapeHtml(entry.created_at)}">${formatDate(entry.created_at)}</time>
+          ${entry.sealed ? '<span class="text-terminal-green/80" title="Encrypted in your browser before it was sent">&middot; encrypted</span>' : ''}
+          ${edited ? `<span class="text-gray-600">&middot; edited <time data-iso="${escapeHtml(entry.updated_at)}">${formatDate(entry.updated_at)}</time></span>` : ''}
+        </span>
+        <span class="flex items-center gap-3">
+          ${entry.unreadable ? '' : `
+          <button class="entry-edit text-gray-600 hover:text-psn-blue text-xs font-mono transition-colors"
+                  data-entry-id="${escapeHtml(entry.id)}">
+            Edit
+          </button>`}
+          <button class="entry-delete text-gray-600 hover:text-red-400 text-xs font-mono transition-colors"
+                  data-entry-id="${escapeHtml(entry.id)}">
+            Delete
+          </button>
+        </span>
       </div>
-      <p class="text-gray-300 text-sm leading-relaxed whitespace-pre-wrap">${escapeHtml(entry.content)}</p>
+      ${entry.unreadable ? `
+        <p class="text-amber-400/80 text-xs font-mono">
+          This entry is encrypted and could not be decrypted with this link.
+        </p>` : ''}
+      ${entry.details ? renderDetails(entry.details) : ''}
+      <p class="entry-text text-gray-300 text-sm leading-relaxed whitespace-pre-wrap${entry.content ? '' : ' hidden'}">${escapeHtml(entry.content || '')}</p>
+      ${renderAttachmentThumbs(entry.attachments)}
     </div>`;
 }
 
-function wireEntryForm(container, token) {
+/**
+ * Warn, as the reporter types, when the entry contains personal details,
+ * and offer to swap them for placeholders.
+ */
+function wirePiiWarning(container) {
+  const form = container.querySelector('#add-entry');
+  const warning = container.querySelector('#pii-warning');
+  if (!form || !warning) return;
+
+  const fields = PII_FIELDS.map(selector => container.querySelector(selector)).filter(Boolean);
+
+  const update = () => {
+    const findings = fields.flatMap(el => scanPii(el.value));
+    warning.classList.toggle('hidden', findings.length === 0);
+    if (findings.length === 0) {
+      warning.innerHTML = '';
+      return;
+    }
+
+    const found = Object.entries(summarisePii(findings))
+      .map(([label, count]) => `${formatNumber(count)} × ${escapeHtml(label)}`)
+      .join(', ');
+    warning.innerHTML = `
+      <p>This entry seems to include personal details: ${found}.</p>
+      <p class="text-amber-300/70 mt-1">
+        Only the site operator sees your report, and details are removed before anything is published.
+        Never post card numbers or passwords.
+      </p>
+      <button type="button" id="pii-redact" class="mt-2 text-psn-blue hover:text-blue-400 transition-colors">
+        Replace them with placeholders
+      </button>`;
+
+    warning.querySelector('#pii-redact').addEventListener('click', () => {
+      fields.forEach(el => {
+        el.value = redactPii(el.value).text;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+    });
+  };
+
+  let timer = null;
+  form.addEventListener('input', (e) => {
+    if (!fields.includes(e.target)) return;
+    clearTimeout(timer);
+    timer = setTimeout(update, PII_SCAN_DELAY);
+  });
+  update();
+}
+
+/**
+ * Switch the entry form between structured and free-text-only mode.
+ * The structured fields are hidden, not cleared, in free-text mode.
+ */
+function wireEntryMode(container, initial) {
+  const form = container.querySelector('#add-entry');
+  const fields = container.querySelector('#entry-details');
+  if (!form || !fields) return;
+
+  const setMode = (mode) => {
+    form.dataset.mode = mode;
+    fields.classList.toggle('hidden', mode !== 'structured');
+    form.querySelectorAll('.entry-mode').forEach(btn => {
+      const on = btn.dataset.mode === mode;
+      btn.classList.add(...(on ? MODE_ON_CLS : MODE_OFF_CLS));
+      btn.classList.remove(...(on ? MODE_OFF_CLS : MODE_ON_CLS));
+      btn.setAttribute('aria-pressed', String(on));
+    });
+  };
+
+  form.querySelectorAll('.entry-mode').forEach(btn => {
+    btn.addEventListener('click', () => setMode(btn.dataset.mode));
+  });
+  setMode(initial);
+}
+
+function wireEntryForm(container, token, operator) {
   const textarea = container.querySelector('#entry-content');
   const charCount = container.querySelector('#char-count');
   const submitBtn = container.querySelector('#submit-entry');
   const statusEl = container.querySelector('#entry-status');
+  const attachments = wireAttachmentPicker(container.querySelector('#entry-attachments'));
 
   if (textarea && charCount) {
     textarea.addEventListener('input', () => {
       const len = textarea.value.length;
-      charCount.textContent = `${len.toLocaleString()} / ${MAX_CONTENT.toLocaleString()}`;
+      charCount.textContent = charCountText(len);
       charCount.className = len > MAX_CONTENT * 0.9
         ? 'text-amber-400 text-xs font-mono'
         : 'text-gray-600 text-xs font-mono';
@@ -211,26 +598,53 @@ function wireEntryForm(container, token) {
   if (submitBtn) {
     submitBtn.addEventListener('click', async () => {
       const content = textarea.value.trim();
-      if (!content) {
+      const structured = container.querySelector('#add-entry')?.dataset.mode === 'structured';
+      const details = structured ? readDetails(container) : null;
+      if (details?.error) {
+        statusEl.textContent = details.error;
+        statusEl.className = 'text-xs font-mono text-amber-400';
+        return;
+      }
+      if (!content && !details && attachments.pending() === 0) {
         statusEl.textContent = 'Please enter some content.';
         statusEl.className = 'text-xs font-mono text-amber-400';
         return;
       }
 
+      const cards = PII_FIELDS
+        .flatMap(selector => scanPii(container.querySelector(selector)?.value))
+        .filter(f => f.type === 'card');
+      if (cards.length > 0 && !confirm('This entry looks like it contains a payment card number. Submit it anyway?')) {
+        return;
+      }
+
       submitBtn.disabled = true;
       submitBtn.classList.add('opacity-50', 'cursor-not-allowed');
       statusEl.classList.add('hidden');
 
       try {
-        await apiPost(`/report/entries?token=${encodeURIComponent(token)}`, { content });
+        const encrypt = operator && container.querySelector('#entry-encrypt')?.checked;
+        const body = encrypt
+          ? { encrypted: await encryptEntry(details ? { content, details } : { content }, token, operator) }
+          : { content };
+        if (details && !encrypt) body.details = details;
+        if (attachments.pending() > 0) {
+          statusEl.textContent = 'Uploading attachments...';
+          statusEl.className = 'text-xs font-mono text-gray-500';
+          body.attachments = await attachments.upload(token);
+        }
+        await apiPost(`/report/entries?token=${encodeURIComponent(token)}`, body);
+        clearDraft(token);
         // Reload the full report to show the new entry
         await loadEntries(container, token);
       } catch (err) {
         if (err instanceof ApiError && err.status === 401) {
-          statusEl.textContent = 'Your link has expired. Please request a new one.';
-        } else {
-          statusEl.textContent = err.message || 'Failed to submit. Please try again.';
+          // Keep the unsent entry so the expired screen can show it
+          saveDraft(container, token);
+          renderExpired(container, token, 'This link has expired or is invalid.');
+          return;
         }
+        statusEl.textContent = err.message || 'Failed to submit. Please try again.';
         statusEl.className = 'text-xs font-mono text-red-400';
         submitBtn.disabled = false;
         submitBtn.classList.remove('opacity-50', 'cursor-not-allowed');
@@ -239,6 +653,544 @@ function wireEntryForm(container, token) {
   }
 }
 
+/**
+ * Swap an entry's text for a textarea and PATCH the new text on save.
+ */
+function wireEditButtons(container, token, entries, operator) {
+  container.querySelectorAll('.entry-edit').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const card = btn.closest('div[data-entry-id]');
+      const text = card.querySelector('.entry-text');
+      if (card.querySelector('.entry-editor')) return;
+
+      const editor = document.createElement('div');
+      editor.className = 'entry-editor';
+      editor.innerHTML = `
+        <textarea rows="6" maxlength="${MAX_CONTENT}" class="${FIELD_CLS} resize-y min-h-[100px]"></textarea>
+        <div class="flex items-center gap-3 mt-2">
+          <button type="button" class="entry-save px-4 py-1.5 bg-psn-blue text-white text-xs font-mono font-medium rounded
+                         hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-psn-blue/50 transition-colors">
+            Save
+          </button>
+          <button type="button" class="entry-cancel text-gray-500 hover:text-gray-300 text-xs font-mono transition-colors">
+            Cancel
+          </button>
+          <span class="entry-edit-status text-xs font-mono hidden"></span>
+        </div>`;
+      const textarea = editor.querySelector('textarea');
+      const saveBtn = editor.querySelector('.entry-save');
+      const statusEl = editor.querySelector('.entry-edit-status');
+      textarea.value = text.textContent;
+
+      text.classList.add('hidden');
+      text.after(editor);
+      textarea.focus();
+
+      editor.querySelector('.entry-cancel').addEventListener('click', () => {
+        editor.remove();
+        text.classList.toggle('hidden', !text.textContent);
+      });
+
+      saveBtn.addEventListener('click', async () => {
+        const content = textarea.value.trim();
+        if (content === text.textContent) {
+          editor.remove();
+          text.classList.toggle('hidden', !text.textContent);
+          return;
+        }
+
+        saveBtn.disabled = true;
+        saveBtn.classList.add('opacity-50', 'cursor-not-allowed');
+        statusEl.classList.add('hidden');
+
+        try {
+          // Encrypted entries are re-encrypted with their details, never sent back as plain text
+          const entry = entries.find(e => e.id === btn.dataset.entryId);
+          let body = { content };
+          if (entry?.sealed) {
+            if (!operator) throw new Error('Encryption is unavailable right now, so this entry cannot be saved.');
+            body = { encrypted: await encryptEntry(entry.details ? { content, details: entry.details } : { content }, token, operator) };
+          }
+          await apiPatch(`/report/entries/${encodeURIComponent(btn.dataset.entryId)}?token=${encodeURIComponent(token)}`, body);
+          await loadEntries(container, token);
+        } catch (err) {
+          if (err instanceof ApiError && err.status === 401) {
+            renderExpired(container, token, 'This link has expired or is invalid.');
+            return;
+          }
+          statusEl.textContent = err.message || 'Failed to save. Please try again.';
+          statusEl.className = 'entry-edit-status text-xs font-mono text-red-400';
+          saveBtn.disabled = false;
+          saveBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+        }
+      });
+    });
+  });
+}
+
+// ── Drafts ──────────────────────────────────────────────────────────
+
+/**
+ * localStorage key for a token's draft. Uses an FNV-1a hash so the token
+ * itself is never written to storage.
+ */
+function draftKey(token) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    h ^= token.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return DRAFT_PREFIX + (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function loadDraft(token) {
+  try {
+    return JSON.parse(localStorage.getItem(draftKey(token)));
+  } catch {
+    return null;
+  }
+}
+
+function clearDraft(token) {
+  localStorage.removeItem(draftKey(token));
+}
+
+/**
+ * Save the new-entry form, or remove the draft when the form is empty.
+ * @returns {boolean} Whether a draft is now stored
+ */
+function saveDraft(container, token) {
+  const fields = {};
+  Object.entries(DETAIL_FIELDS).forEach(([key, selector]) => {
+    const value = container.querySelector(selector)?.value;
+    if (value) fields[key] = value;
+  });
+  const content = container.querySelector('#entry-content')?.value || '';
+
+  if (!content.trim() && Object.keys(fields).length === 0) {
+    clearDraft(token);
+    return false;
+  }
+
+  localStorage.setItem(draftKey(token), JSON.stringify({
+    content,
+    details: fields,
+    mode: container.querySelector('#add-entry')?.dataset.mode,
+    saved_at: new Date().toISOString(),
+  }));
+  return true;
+}
+
+/**
+ * Restore a saved draft into the new-entry form and keep saving it as the
+ * reporter types.
+ */
+function wireDraft(container, token, draft) {
+  const form = container.querySelector('#add-entry');
+  const textarea = container.querySelector('#entry-content');
+  const statusEl = container.querySelector('#draft-status');
+  const discardBtn = container.querySelector('#draft-discard');
+  if (!form || !textarea || !statusEl || !discardBtn) return;
+
+  const showSaved = (saved, restored) => {
+    statusEl.textContent = saved ? (restored ? 'Draft restored' : 'Draft saved on this device') : '';
+    discardBtn.classList.toggle('hidden', !saved);
+  };
+
+  if (draft) {
+    textarea.value = draft.content || '';
+    Object.entries(draft.details || {}).forEach(([key, value]) => {
+      const el = DETAIL_FIELDS[key] && container.querySelector(DETAIL_FIELDS[key]);
+      if (el) el.value = value;
+    });
+    textarea.dispatchEvent(new Event('input'));
+    showSaved(true, true);
+  }
+
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => showSaved(saveDraft(container, token), false), DRAFT_SAVE_DELAY);
+  };
+  form.addEventListener('input', schedule);
+  form.addEventListener('change', schedule);
+  // Mode buttons change what gets saved but fire no input event
+  form.querySelectorAll('.entry-mode').forEach(btn => btn.addEventListener('click', schedule));
+
+  discardBtn.addEventListener('click', () => {
+    if (!confirm('Discard this draft? This cannot be undone.')) return;
+    clearDraft(token);
+    textarea.value = '';
+    Object.values(DETAIL_FIELDS).forEach(selector => {
+      const el = container.querySelector(selector);
+      if (el) el.value = '';
+    });
+    textarea.dispatchEvent(new Event('input'));
+    clearTimeout(timer);
+    showSaved(false, false);
+  });
+}
+
+// ── Link lifecycle ──────────────────────────────────────────────────
+
+function renderLinkBar(expiresAt) {
+  const soon = expiresAt && new Date(expiresAt + 'Z') - Date.now() < EXPIRY_WARNING;
+  return `
+    <div class="mb-6 text-xs font-mono">
+      <div class="flex flex-wrap items-center gap-x-4 gap-y-2">
+        ${expiresAt ? `
+          <span class="${soon ? 'text-amber-400' : 'text-gray-500'}">
+            This link expires <time data-iso="${escapeHtml(expiresAt)}">${formatDate(expiresAt)}</time>
+          </span>` : ''}
+        <button type="button" id="link-refresh" class="text-psn-blue hover:text-blue-400 transition-colors">
+          Send me a fresh link
+        </button>
+        <button type="button" id="link-revoke" class="text-gray-500 hover:text-red-400 transition-colors">
+          Revoke this link
+        </button>
+        <span id="link-status" class="hidden" role="status"></span>
+      </div>
+      <div id="link-warning" class="hidden mt-3 border border-amber-500/30 bg-amber-500/10 rounded p-3
+                                    text-amber-300 leading-relaxed" role="alert"></div>
+    </div>`;
+}
+
+function wireLinkBar(container, token, entries) {
+  const refreshBtn = container.querySelector('#link-refresh');
+  const revokeBtn = container.querySelector('#link-revoke');
+  const statusEl = container.querySelector('#link-status');
+  const warningEl = container.querySelector('#link-warning');
+  if (!refreshBtn || !revokeBtn) return;
+
+  const showStatus = (msg, error) => {
+    statusEl.textContent = msg;
+    statusEl.className = error ? 'text-red-400' : 'text-terminal-green';
+  };
+
+  // The key for encrypted entries is derived from the token (see
+  // report-crypto.js), so no other link can ever decrypt them
+  const sealed = entries.filter(e => e.sealed && !e.unreadable).length;
+
+  const warnSealed = (consequence, proceed) => {
+    warningEl.innerHTML = `
+      <p class="mb-3">
+        ${formatNumber(sealed)} of your entries ${sealed === 1 ? 'is' : 'are'} encrypted with this link.
+        ${escapeHtml(consequence)} ${sealed === 1 ? 'It' : 'They'} would show as unreadable and be left out of downloads.
+        Download your report first to keep a readable copy; you can import it after opening a new link.
+      </p>
+      <div class="flex flex-wrap gap-x-6 gap-y-2">
+        <button type="button" data-action="download" class="text-psn-blue hover:text-blue-400 transition-colors">
+          Download my report
+        </button>
+        <button type="button" data-action="continue" class="text-amber-400 hover:text-amber-300 transition-colors">
+          Continue anyway
+        </button>
+        <button type="button" data-action="cancel" class="text-gray-500 hover:text-gray-300 transition-colors">
+          Cancel
+        </button>
+      </div>`;
+    warningEl.classList.remove('hidden');
+
+    warningEl.querySelector('[data-action="download"]').addEventListener('click', () => {
+      downloadExport(buildExport(entries));
+    });
+    warningEl.querySelector('[data-action="continue"]').addEventListener('click', () => {
+      warningEl.classList.add('hidden');
+      proceed();
+    });
+    warningEl.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      warningEl.classList.add('hidden');
+    });
+  };
+
+  const refresh = async () => {
+    refreshBtn.disabled = true;
+    try {
+      await apiPost(`/report/refresh-link?token=${encodeURIComponent(token)}`, {});
+      showStatus('A new link is on its way to your email.', false);
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 401) {
+        renderExpired(container, token, 'This link has expired or is invalid.');
+        return;
+      }
+      showStatus(err instanceof ApiError && err.status === 429
+        ? 'Too many requests. Please try again later.'
+        : 'Could not send a new link. Please try again.', true);
+      refreshBtn.disabled = false;
+    }
+  };
+
+  const revoke = async () => {
+    revokeBtn.disabled = true;
+    try {
+      await apiDelete(`/report/token?token=${encodeURIComponent(token)}`);
+      renderExpired(container, token, 'This link has been revoked.');
+    } catch (err) {
+      console.error('Revoke error:', err);
+      showStatus('Could not revoke the link. Please try again.', true);
+      revokeBtn.disabled = false;
+    }
+  };
+
+  refreshBtn.addEventListener('click', () => {
+    if (sealed) {
+      warnSealed('A fresh link cannot decrypt encrypted entries.', refresh);
+    } else {
+      refresh();
+    }
+  });
+
+  revokeBtn.addEventListener('click', () => {
+    if (sealed) {
+      warnSealed('Revoking this link stops it working everywhere, including in your email, and no other link can decrypt encrypted entries.', revoke);
+    } else if (confirm('Revoke this link? It will stop working everywhere, including in your email. You can request a new link at any time.')) {
+      revoke();
+    }
+  });
+}
+
+/**
+ * Screen for a link that no longer works: forget it, offer a new one by
+ * email in place, and show any unsent draft.
+ */
+function renderExpired(container, token, message) {
+  forgetToken();
+  container.innerHTML = `
+    <div class="max-w-md mx-auto text-center py-12">
+      <p class="text-gray-400 mb-4">${escapeHtml(message)}</p>
+      <form id="relink-form" class="flex gap-3">
+        <label for="relink-email" class="sr-only">Email address</label>
+        <input type="email" id="relink-email" required placeholder="you@example.com" class="${FIELD_CLS} flex-1">
+        <button type="submit"
+                class="px-4 py-2 bg-psn-blue text-white text-sm font-mono font-medium rounded
+                       hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-psn-blue/50
+                       transition-colors flex-shrink-0">
+          Send a new link
+        </button>
+      </form>
+      <p id="relink-status" class="mt-3 text-xs font-mono hidden"></p>
+    </div>
+    ${renderExpiredDraft(loadDraft(token))}`;
+  wireCopyDraft(container);
+
+  const form = container.querySelector('#relink-form');
+  const statusEl = container.querySelector('#relink-status');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = form.querySelector('#relink-email').value.trim();
+    if (!email) return;
+    const btn = form.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+      // Same request as the email form on report.html
+      await apiPost('/report/request-link', { email });
+      statusEl.textContent = 'Check your email for a new link. It may take a minute to arrive.';
+      statusEl.className = 'mt-3 text-xs font-mono text-terminal-green';
+    } catch (err) {
+      statusEl.textContent = err instanceof ApiError && err.status === 429
+        ? 'Too many requests. Please try again later.'
+        : 'Something went wrong. Please try again.';
+      statusEl.className = 'mt-3 text-xs font-mono text-red-400';
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+// ── Export and import ───────────────────────────────────────────────
+
+function renderRecordsSection(hasEntries) {
+  const linkCls = 'text-psn-blue hover:text-blue-400 transition-colors';
+  return `
+    <div id="records" class="mt-8 bg-psn-surface border border-psn-border rounded-lg p-6">
+      <h2 class="font-mono font-bold text-white text-sm mb-2">Keep a copy</h2>
+      <p class="text-gray-500 text-xs leading-relaxed mb-4">
+        Save your timeline to your recovery folder, or share it with Sony, the BBB or your bank.
+        The download holds your entries and their dates only, never your link.
+      </p>
+      <div class="flex flex-wrap items-center gap-x-6 gap-y-2 text-xs font-mono">
+        ${hasEntries ? `
+          <button type="button" id="records-download" class="${linkCls}">Download my report (JSON)</button>
+          <button type="button" id="records-print" class="${linkCls}">Printable view</button>` : ''}
+        <label class="${linkCls} cursor-pointer">
+          Import a previous download
+          <input id="records-import" type="file" accept="application/json,.json" class="sr-only">
+        </label>
+      </div>
+      <p id="records-status" class="text-xs font-mono mt-3 hidden" role="status"></p>
+    </div>`;
+}
+
+/**
+ * Keep only detail keys and option values the entry form itself offers.
+ */
+function sanitiseDetails(details) {
+  if (!details) return null;
+  const options = { two_factor: TWO_FACTOR_TYPES, access_lost_via: ACCESS_LOST_VIA, region: REGION_NAMES, outcome: OUTCOMES };
+  const clean = {};
+  Object.keys(DETAIL_FIELDS).forEach(key => {
+    const value = details[key];
+    if (typeof value !== 'string' || !value.trim()) return;
+    if (options[key] && !options[key][value]) return;
+    if (key === 'compromised_on' && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) return;
+    clean[key] = key === 'support_response' ? value.trim().slice(0, MAX_SUPPORT_RESPONSE) : value;
+  });
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Format entries for the printable view. Images are fetched and inlined so
+ * the page works offline and never carries the token in an image URL.
+ */
+async function printItems(entries, token) {
+  const readable = entries
+    .filter(e => !e.unreadable)
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+
+  return Promise.all(readable.map(async (entry) => {
+    const attachments = entry.attachments || [];
+    const images = await Promise.all(attachments
+      .filter(a => a.type !== 'application/pdf')
+      .map(a => apiGetBlob(`/report/attachments/${encodeURIComponent(a.id)}?token=${encodeURIComponent(token)}`)
+        .then(blobToDataUrl)));
+    const edited = entry.updated_at && entry.updated_at !== entry.created_at;
+    return {
+      created: formatDate(entry.created_at),
+      createdUtc: entry.created_at,
+      edited: edited ? formatDate(entry.updated_at) : null,
+      rows: Object.keys(DETAIL_LABELS)
+        .filter(key => entry.details?.[key])
+        .map(key => [DETAIL_LABELS[key], detailText(key, entry.details[key])]),
+      content: entry.content || '',
+      images,
+      pdfs: attachments.length - images.length,
+    };
+  }));
+}
+
+function wireRecords(container, token, entries, operator) {
+  const statusEl = container.querySelector('#records-status');
+  const showStatus = (msg, cls = 'text-gray-500') => {
+    statusEl.textContent = msg;
+    statusEl.className = `text-xs font-mono mt-3 ${cls}`;
+  };
+  const unreadable = entries.filter(e => e.unreadable).length;
+  const skipped = unreadable
+    ? ` ${unreadable} ${unreadable === 1 ? 'entry' : 'entries'} that could not be decrypted ${unreadable === 1 ? 'was' : 'were'} left out.`
+    : '';
+
+  container.querySelector('#records-download')?.addEventListener('click', () => {
+    downloadExport(buildExport(entries));
+    if (skipped) showStatus(skipped.trim(), 'text-amber-400');
+  });
+
+  const printBtn = container.querySelector('#records-print');
+  printBtn?.addEventListener('click', async () => {
+    printBtn.disabled = true;
+    showStatus('Preparing the printable view...');
+    try {
+      openPrintView(renderPrintView(await printItems(entries, token)));
+      statusEl.classList.add('hidden');
+      if (skipped) showStatus(skipped.trim(), 'text-amber-400');
+    } catch (err) {
+      console.error('Print view error:', err);
+      showStatus('Could not prepare the printable view. Please try again.', 'text-red-400');
+    } finally {
+      printBtn.disabled = false;
+    }
+  });
+
+  const input = container.querySelector('#records-import');
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = await parseExport(file);
+    } catch (err) {
+      showStatus(err.message, 'text-red-400');
+      return;
+    }
+    if (imported.length === 0) {
+      showStatus('This download has no entries to import.', 'text-amber-400');
+      return;
+    }
+
+    const count = `${imported.length} ${imported.length === 1 ? 'entry' : 'entries'}`;
+    if (!confirm(`Import ${count} into this report? Each is added as a new entry noting its original date. Attachments are not part of a download; add them again if you need them.`)) {
+      return;
+    }
+
+    const encrypt = operator && (container.querySelector('#entry-encrypt')?.checked ?? true);
+    try {
+      for (const [i, item] of imported.entries()) {
+        showStatus(`Importing ${i + 1} of ${imported.length}...`);
+        const note = item.created_at ? `[Imported. Originally added ${item.created_at} UTC.]\n\n` : '';
+        const content = (note + item.content.trim()).slice(0, MAX_CONTENT);
+        const details = sanitiseDetails(item.details);
+        const body = encrypt
+          ? { encrypted: await encryptEntry(details ? { content, details } : { content }, token, operator) }
+          : { content };
+        if (details && !encrypt) body.details = details;
+        await apiPost(`/report/entries?token=${encodeURIComponent(token)}`, body);
+      }
+      await loadEntries(container, token);
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 401) {
+        renderExpired(container, token, 'This link has expired or is invalid.');
+        return;
+      }
+      console.error('Import error:', err);
+      showStatus(`${err.message || 'Import failed.'} Entries imported so far have been kept; reload to see them.`, 'text-red-400');
+    }
+  });
+}
+
+/**
+ * On the expired-link screen, show any unsent draft so it can be copied
+ * into a report opened with a new link.
+ */
+function renderExpiredDraft(draft) {
+  if (!draft || !draft.content?.trim()) return '';
+  return `
+    <div class="bg-psn-surface border border-psn-border rounded-lg p-6">
+      <div class="flex items-center justify-between gap-4 mb-3">
+        <h2 class="font-mono font-bold text-white text-sm">Your unsent draft</h2>
+        <button type="button" id="draft-copy"
+                class="text-psn-blue hover:text-blue-400 text-xs font-mono transition-colors">
+          Copy
+        </button>
+      </div>
+      <p class="text-gray-500 text-xs font-mono mb-3">
+        Copy it before you leave, then paste it into your report after opening the new link.
+      </p>
+      <pre id="draft-text" class="text-gray-300 text-sm whitespace-pre-wrap font-mono">${escapeHtml(draft.content)}</pre>
+    </div>`;
+}
+
+function wireCopyDraft(container) {
+  const btn = container.querySelector('#draft-copy');
+  const text = container.querySelector('#draft-text');
+  if (!btn || !text) return;
+  btn.addEventListener('click', () => {
+    navigator.clipboard.writeText(text.textContent).then(() => {
+      btn.textContent = 'Copied!';
+      setTimeout(() => { btn.textContent = 'Copy'; }, 2000);
+    });
+  });
+}
+
 function wireDeleteButtons(container, token) {
   container.querySelectorAll('.entry-delete').forEach((btn) => {
     btn.addEventListener('click', async () => {
@@ -273,6 +1225,7 @@ function wireDeleteAll(container, token) {
 
     try {
       await apiDelete(`/report/submitter?token=${encodeURIComponent(token)}`);
+      forgetToken();
       container.innerHTML = `
         <div class="text-center py-12">
           <p class="text-gray-400 mb-4">All your data has been deleted.</p>
@@ -0,0 +1,246 @@
+/**
+ * tip.js — Anonymous intelligence tip form on report.html.
+ *
+ * Tips about the people behind the hacks (their handles, the Telegram and
+ * Discord channels they work from, the methods they use, screenshots) are
+ * sent straight to the API without an email address or a report link.
+ * Spam is held off with proof-of-work instead: the browser fetches a
+ * challenge and searches for a nonce whose SHA-256 hash starts with the
+ * required number of zero bits, which takes a few seconds once and makes
+ * bulk submission expensive.
+ *
+ * Endpoints:
+ *   GET  /tips/challenge                          { challenge, difficulty }
+ *   POST /tips/attachments?token=<challenge.nonce> file → { id }
+ *   POST /tips                                    { challenge, nonce, tip... } → { id }
+ *
+ * The solved challenge is single-use: the API accepts attachments under it
+ * until the tip itself is posted.
+ */
+
+import { apiGet, apiPost, ApiError } from './api.js';
+import { renderAttachmentPicker, wireAttachmentPicker } from './evidence.js';
+
+const MAX_DESCRIPTION = 10_000;
+const MAX_LIST_ITEMS = 20;
+const POW_BATCH = 2_000;
+
+// Values double as incident tags where one exists
+const METHODS = {
+  'support-engineering': 'Social engineering PlayStation support',
+  'caller-id-spoofing': 'Spoofed calls claiming to be support',
+  phishing: 'Phishing pages or messages',
+  'sim-swap': 'SIM swap',
+  'password-leak': 'Leaked or reused passwords',
+  'transaction-id-exploit': 'Transaction ID exploit',
+  'account-sale': 'Selling stolen accounts',
+};
+
+const CHANNELS = {
+  telegram: { label: 'Telegram channels or users', placeholder: 't.me/example' },
+  discord: { label: 'Discord servers or users', placeholder: 'discord.gg/example' },
+  other: { label: 'Other sites or forums', placeholder: 'forum thread, marketplace listing' },
+};
+
+const FIELD_CLS =
+  'w-full bg-psn-dark border border-psn-border rounded px-3 py-2 text-sm text-gray-200 font-mono ' +
+  'placeholder-gray-600 focus:outline-none focus:border-psn-blue focus:ring-1 focus:ring-psn-blue/50 transition-colors';
+
+const BUTTON_CLS =
+  'px-5 py-2.5 bg-psn-blue text-white text-sm font-mono font-medium rounded ' +
+  'hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-psn-blue/50 transition-colors';
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function splitLines(value) {
+  return [...new Set(value.split('\n').map(v => v.trim()).filter(Boolean))].slice(0, MAX_LIST_ITEMS);
+}
+
+// ── Proof-of-work ───────────────────────────────────────────────────
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Find a nonce such that SHA-256("<challenge>:<nonce>") starts with
+ * `difficulty` zero bits. Hashes in batches so the page stays responsive.
+ * @param {string} challenge
+ * @param {number} difficulty
+ * @returns {Promise<string>}
+ */
+async function solveChallenge(challenge, difficulty) {
+  const encoder = new TextEncoder();
+  for (let start = 0; ; start += POW_BATCH) {
+    const nonces = Array.from({ length: POW_BATCH }, (_, i) => String(start + i));
+    const hashes = await Promise.all(nonces.map(nonce =>
+      crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))));
+    const found = hashes.findIndex(hash => leadingZeroBits(new Uint8Array(hash)) >= difficulty);
+    if (found !== -1) return nonces[found];
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+// ── Form ────────────────────────────────────────────────────────────
+
+function renderForm() {
+  const channelFields = Object.entries(CHANNELS).map(([key, channel]) => `
+    <div>
+      <label for="tip-channel-${key}" class="block text-gray-400 text-xs font-mono mb-1">${channel.label}</label>
+      <textarea id="tip-channel-${key}" rows="2" placeholder="${escapeHtml(channel.placeholder)}"
+                class="${FIELD_CLS} resize-y"></textarea>
+    </div>`).join('');
+
+  const methodBoxes = Object.entries(METHODS).map(([key, label]) => `
+    <label class="flex items-center gap-2 text-gray-300 text-xs font-mono cursor-pointer">
+      <input type="checkbox" name="tip-method" value="${key}" class="accent-[#0070d1]">
+      ${label}
+    </label>`).join('');
+
+  return `
+    <form id="tip-form" class="space-y-5" novalidate>
+      <p class="text-gray-400 text-sm leading-relaxed">
+        No email or account needed. Nothing here is linked to you, and you will not be able to
+        edit the tip after sending it, so include everything you want the site operator to see.
+      </p>
+
+      <div>
+        <label for="tip-handles" class="block text-gray-400 text-xs font-mono mb-1">
+          Handles, PSN IDs or usernames used by the hacker(s), one per line
+        </label>
+        <textarea id="tip-handles" rows="3" placeholder="@example" class="${FIELD_CLS} resize-y"></textarea>
+      </div>
+
+      <div class="grid md:grid-cols-3 gap-4">${channelFields}</div>
+
+      <fieldset>
+        <legend class="text-gray-400 text-xs font-mono mb-2">Methods they use</legend>
+        <div class="grid sm:grid-cols-2 gap-2">${methodBoxes}</div>
+      </fieldset>
+
+      <div>
+        <label for="tip-description" class="block text-gray-400 text-xs font-mono mb-1">What do you know?</label>
+        <textarea id="tip-description" rows="6" maxlength="${MAX_DESCRIPTION}"
+                  placeholder="How you came across them, what they claim, dates, anything that connects accounts"
+                  class="${FIELD_CLS} resize-y"></textarea>
+      </div>
+
+      ${renderAttachmentPicker()}
+
+      <div class="flex flex-wrap items-center gap-3">
+        <button type="submit" id="tip-submit" class="${BUTTON_CLS}">Send Tip</button>
+        <span id="tip-status" class="text-xs font-mono hidden" role="status"></span>
+      </div>
+    </form>`;
+}
+
+function readTip(form) {
+  return {
+    handles: splitLines(form.querySelector('#tip-handles').value),
+    channels: Object.keys(CHANNELS).flatMap(platform =>
+      splitLines(form.querySelector(`#tip-channel-${platform}`).value).map(name => ({ platform, name }))),
+    methods: [...form.querySelectorAll('input[name="tip-method"]:checked')].map(box => box.value),
+    description: form.querySelector('#tip-description').value.trim(),
+  };
+}
+
+function renderSent(id) {
+  return `
+    <div class="text-center py-6">
+      <p class="text-terminal-green font-mono text-sm mb-2">Tip received. Thank you.</p>
+      ${id ? `<p class="text-gray-500 text-xs font-mono mb-4">Reference: ${escapeHtml(id)}</p>` : ''}
+      <p class="text-gray-400 text-xs leading-relaxed mb-4">
+        Tips are checked against other reports before anything is published on the Intelligence page.
+      </p>
+      <button type="button" id="tip-another" class="text-psn-blue hover:text-blue-400 text-xs font-mono transition-colors">
+        Send another tip
+      </button>
+    </div>`;
+}
+
+/**
+ * Render and wire the tip form into `container`.
+ * @param {HTMLElement} container
+ */
+export function initTipForm(container) {
+  if (!window.crypto?.subtle) {
+    container.innerHTML = `
+      <p class="text-amber-400 text-xs font-mono">
+        This browser cannot send tips from the form. Please use the email address below instead.
+      </p>`;
+    return;
+  }
+
+  container.innerHTML = renderForm();
+
+  const form = container.querySelector('#tip-form');
+  const submitBtn = form.querySelector('#tip-submit');
+  const statusEl = form.querySelector('#tip-status');
+  const attachments = wireAttachmentPicker(form.querySelector('#entry-attachments'), '/tips/attachments');
+  // Kept across a failed post so uploaded attachments stay valid
+  let proof = null;
+
+  const showStatus = (msg, cls) => {
+    statusEl.textContent = msg;
+    statusEl.className = `text-xs font-mono ${cls}`;
+  };
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const tip = readTip(form);
+    const empty = !tip.handles.length && !tip.channels.length && !tip.methods.length && !tip.description;
+    if (empty && attachments.pending() === 0) {
+      showStatus('Please fill in at least one field.', 'text-amber-400');
+      return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.classList.add('opacity-50', 'cursor-not-allowed');
+
+    try {
+      if (!proof) {
+        showStatus('Checking this browser, this takes a few seconds...', 'text-gray-500');
+        const { challenge, difficulty } = await apiGet('/tips/challenge');
+        proof = { challenge, nonce: await solveChallenge(challenge, difficulty) };
+      }
+
+      showStatus('Sending...', 'text-gray-500');
+      const body = { ...proof, ...tip };
+      if (attachments.pending() > 0) {
+        body.attachments = await attachments.upload(`${proof.challenge}.${proof.nonce}`);
+      }
+      const data = await apiPost('/tips', body);
+
+      attachments.clear();
+      container.innerHTML = renderSent(data.id);
+      container.querySelector('#tip-another').addEventListener('click', () => initTipForm(container));
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 429) {
+        showStatus('Too many tips from this connection. Please try again later.', 'text-red-400');
+      } else if (err instanceof ApiError && (err.status === 403 || err.status === 410)) {
+        // Challenge rejected or expired: solve a fresh one on the next attempt
+        proof = null;
+        attachments.resetUploads();
+        showStatus('The check expired. Please send again.', 'text-red-400');
+      } else {
+        showStatus(err.message || 'Something went wrong. Please try again.', 'text-red-400');
+        console.error('Tip submit error:', err);
+      }
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+    }
+  });
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * anonymise.mjs — Replaces personal details with placeholders before publishing.
+ *
+ * Reads an incident draft (one object or an array, e.g. the output of
+ * entry-to-incident.mjs) or plain text from a file or stdin. For incidents,
+ * `headline`, `detail` and `outcome.summary` are anonymised; anything else is
+ * passed through unchanged. What was replaced is listed on stderr so stdout
+ * can go straight into an editor:
+ *
+ *   node scripts/entry-to-incident.mjs entry.json | node scripts/anonymise.mjs
+ *   node scripts/anonymise.mjs --keep @published_handle draft.json
+ *   node scripts/anonymise.mjs --text notes.txt
+ *
+ * Detection comes from js/pii.js, shared with status.html and the moderation
+ * console. It is pattern matching only; read the result before pasting it
+ * into data/incidents.json.
+ */
+
+import { readFileSync } from 'node:fs';
+import { redactPii, summarisePii } from '../js/pii.js';
+import { anonymiseIncident } from '../js/incident-draft.js';
+
+function usage() {
+  console.error('Usage: node scripts/anonymise.mjs [--keep value,value] [--text] [file]');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { keep: [], text: false, path: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--keep') {
+      if (!argv[i + 1]) usage();
+      opts.keep.push(...argv[++i].split(',').map(v => v.trim()).filter(Boolean));
+    } else if (arg === '--text') {
+      opts.text = true;
+    } else if (arg.startsWith('--') || opts.path) {
+      usage();
+    } else {
+      opts.path = arg;
+    }
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const input = readFileSync(opts.path || 0, 'utf8');
+const findings = [];
+
+const clean = (text) => {
+  if (!text) return text;
+  const result = redactPii(text, { keep: opts.keep });
+  findings.push(...result.findings);
+  return result.text;
+};
+
+function anonymise(incident) {
+  const result = anonymiseIncident(incident, opts.keep);
+  findings.push(...result.findings);
+  return result.incident;
+}
+
+let parsed = null;
+if (!opts.text) {
+  try {
+    parsed = JSON.parse(input);
+  } catch {
+    // Not JSON: treat as plain text
+  }
+}
+
+if (parsed && typeof parsed === 'object') {
+  const output = Array.isArray(parsed) ? parsed.map(anonymise) : anonymise(parsed);
+  console.log(JSON.stringify(output, null, 2));
+} else {
+  process.stdout.write(clean(input));
+}
+
+const counts = Object.entries(summarisePii(findings));
+if (counts.length === 0) {
+  console.error('No personal details detected.');
+} else {
+  console.error(`Replaced ${counts.map(([label, n]) => `${n} × ${label}`).join(', ')}.`);
+}
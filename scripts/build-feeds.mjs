@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * build-feeds.mjs — Generates Atom and JSON Feed 1.1 files from the data files.
+ *
+ * Reads data/incidents.json and data/intelligence.json and writes atom.xml and
+ * feed.json to the site root. Run after editing either data file:
+ *
+ *   node scripts/build-feeds.mjs
+ *
+ * Item ids are permalinks, so they stay stable as long as incident ids and
+ * screenshot filenames do.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { hashLabel, noteLabel } from '../js/labels.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SITE_URL = `https://${readFileSync(join(ROOT, 'CNAME'), 'utf8').trim()}`;
+const FEED_TITLE = 'PSN Security Incidents';
+const FEED_DESCRIPTION = 'Documented PSN account thefts and intelligence on the people and methods behind them.';
+
+function readJson(rel) {
+  return JSON.parse(readFileSync(join(ROOT, rel), 'utf8'));
+}
+
+/**
+ * Expand a full or partial ISO date ("2025", "2025-05", "2025-05-14") to RFC 3339.
+ */
+function toTimestamp(dateStr) {
+  const [year, month = '01', day = '01'] = dateStr.split('-');
+  return `${year}-${month}-${day}T00:00:00Z`;
+}
+
+/**
+ * English variant of a text field that may be a per-locale object.
+ */
+function en(value) {
+  if (value === null || value === undefined || typeof value === 'string') return value;
+  return value.en ?? Object.values(value)[0];
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function truncate(str, max) {
+  return str.length > max ? `${str.slice(0, max - 1).trimEnd()}…` : str;
+}
+
+// ── Items ───────────────────────────────────────────────────────────
+
+function incidentItems(incidents) {
+  return incidents.filter(i => i.id && i.date).map(incident => {
+    const timeline = (incident.timeline || []).map(e => e.date).filter(Boolean).sort();
+    const updated = timeline.length > 0 ? timeline[timeline.length - 1] : incident.date;
+    const url = `${SITE_URL}/incidents.html?id=${encodeURIComponent(incident.id)}`;
+
+    const parts = [en(incident.detail)];
+    if (incident.outcome?.summary) parts.push(`Outcome: ${en(incident.outcome.summary)}`);
+
+    return {
+      id: url,
+      url,
+      title: en(incident.headline),
+      text: parts.filter(Boolean).join('\n\n'),
+      published: toTimestamp(incident.date),
+      updated: toTimestamp(updated > incident.date ? updated : incident.date),
+      tags: ['incident', ...(incident.tags || [])],
+    };
+  });
+}
+
+function intelligenceItems(items) {
+  return items.filter(i => i.date).map(item => {
+    if (item.type === 'note') {
+      const markdown = en(item.markdown) || '';
+      const heading = markdown.match(/^#{1,3}\s+(.+)$/m);
+      const url = `${SITE_URL}/intelligence.html#note-${noteLabel(item)}`;
+      return {
+        id: url,
+        url,
+        title: heading ? heading[1] : 'Analysis',
+        text: markdown,
+        published: toTimestamp(item.date),
+        updated: toTimestamp(item.date),
+        tags: ['intelligence', 'analysis'],
+      };
+    }
+
+    const url = `${SITE_URL}/intelligence.html#ev-${hashLabel(item.image)}`;
+    return {
+      id: url,
+      url,
+      title: truncate(en(item.description) || item.image, 120),
+      text: en(item.description) || '',
+      image: `${SITE_URL}/img/intelligence/${encodeURIComponent(item.image)}`,
+      published: toTimestamp(item.date),
+      updated: toTimestamp(item.date),
+      tags: ['intelligence', 'screenshot'],
+    };
+  });
+}
+
+// ── Serialisers ─────────────────────────────────────────────────────
+
+function buildAtom(items) {
+  const entries = items.map(item => {
+    const content = item.image
+      ? `<content type="html">${escapeXml(`<p>${escapeXml(item.text)}</p><p><img src="${item.image}" alt=""></p>`)}</content>`
+      : `<content type="text">${escapeXml(item.text)}</content>`;
+    const categories = item.tags.map(t => `    <category term="${escapeXml(t)}"/>`).join('\n');
+    return `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <published>${item.published}</published>
+    <updated>${item.updated}</updated>
+${categories}
+    ${content}
+  </entry>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${SITE_URL}/</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}/atom.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/"/>
+  <updated>${items[0]?.updated || new Date(0).toISOString()}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+${entries}
+</feed>
+`;
+}
+
+function buildJsonFeed(items) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    home_page_url: `${SITE_URL}/`,
+    feed_url: `${SITE_URL}/feed.json`,
+    description: FEED_DESCRIPTION,
+    language: 'en',
+    authors: [{ name: FEED_TITLE }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_text: item.text,
+      ...(item.image ? { image: item.image } : {}),
+      date_published: item.published,
+      date_modified: item.updated,
+      tags: item.tags,
+    })),
+  };
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+// ── Main ────────────────────────────────────────────────────────────
+
+const items = [
+  ...incidentItems(readJson('data/incidents.json').incidents || []),
+  ...intelligenceItems(readJson('data/intelligence.json').intelligence || []),
+].sort((a, b) => b.updated.localeCompare(a.updated) || a.id.localeCompare(b.id));
+
+writeFileSync(join(ROOT, 'atom.xml'), buildAtom(items));
+writeFileSync(join(ROOT, 'feed.json'), buildJsonFeed(items));
+
+console.log(`Wrote ${items.length} items to atom.xml and feed.json`);
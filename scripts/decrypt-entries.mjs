@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * decrypt-entries.mjs — Operator-side key generation and decryption for
+ * report entries encrypted in the browser by js/report-crypto.js.
+ *
+ * Generate the operator key pair once. The private key is written to the path
+ * given (keep it offline and out of this repo); the public key goes to
+ * data/operator-key.json, which status.html loads to enable encryption:
+ *
+ *   node scripts/decrypt-entries.mjs --generate ~/psn-operator.private.jwk
+ *
+ * Decrypt entries as returned by GET /report/entries (one entry, an array, or
+ * the whole { entries: [...] } response) from a file or stdin. Encrypted
+ * entries are printed with `content` and `details` restored, in the same shape
+ * as the input, so the output can be piped on to entry-to-incident.mjs:
+ *
+ *   node scripts/decrypt-entries.mjs --key ~/psn-operator.private.jwk entries.json
+ *
+ * Everything runs locally with Node's built-in WebCrypto; nothing is sent anywhere.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_KEY_FILE = 'data/operator-key.json';
+const RSA_PARAMS = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+const { subtle } = globalThis.crypto;
+
+function usage() {
+  console.error('Usage:\n' +
+    '  node scripts/decrypt-entries.mjs --generate <private-key-path>\n' +
+    '  node scripts/decrypt-entries.mjs --key <private-key-path> [entries.json]');
+  process.exit(2);
+}
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? null : process.argv[i + 1] || usage();
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * RFC 7638 JWK thumbprint, used as the key id.
+ */
+async function thumbprint(jwk) {
+  const canonical = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+  return base64url(await subtle.digest('SHA-256', new TextEncoder().encode(canonical)));
+}
+
+// ── Key generation ──────────────────────────────────────────────────
+
+async function generate(privatePath) {
+  const target = resolve(privatePath);
+  if (existsSync(target)) {
+    console.error(`${privatePath} already exists; refusing to overwrite a private key.`);
+    process.exit(1);
+  }
+  if (!relative(ROOT, target).startsWith('..')) {
+    console.error('Refusing to write the private key inside the repository.');
+    process.exit(1);
+  }
+
+  const pair = await subtle.generateKey(
+    { ...RSA_PARAMS, modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ['wrapKey', 'unwrapKey'],
+  );
+  const publicJwk = await subtle.exportKey('jwk', pair.publicKey);
+  const privateJwk = await subtle.exportKey('jwk', pair.privateKey);
+  const kid = await thumbprint(publicJwk);
+
+  writeFileSync(target, `${JSON.stringify({ kid, jwk: privateJwk }, null, 2)}\n`, { mode: 0o600 });
+  writeFileSync(
+    join(ROOT, PUBLIC_KEY_FILE),
+    `${JSON.stringify({ kid, jwk: { kty: publicJwk.kty, n: publicJwk.n, e: publicJwk.e, alg: publicJwk.alg } }, null, 2)}\n`,
+  );
+
+  console.log(`Key id ${kid}`);
+  console.log(`  private: ${target} (keep offline, back it up — lost keys mean unreadable entries)`);
+  console.log(`  public:  ${PUBLIC_KEY_FILE} (commit and deploy)`);
+}
+
+// ── Decryption ──────────────────────────────────────────────────────
+
+async function decryptEnvelope(envelope, operator) {
+  if (envelope.v !== 1) throw new Error(`unsupported envelope version ${envelope.v}`);
+  if (envelope.kid !== operator.kid) throw new Error(`encrypted to key ${envelope.kid}, not ${operator.kid}`);
+  const cek = await subtle.unwrapKey(
+    'raw', Buffer.from(envelope.operator_key, 'base64'), operator.key,
+    { name: 'RSA-OAEP' }, { name: 'AES-GCM' }, false, ['decrypt'],
+  );
+  const plaintext = await subtle.decrypt(
+    { name: 'AES-GCM', iv: Buffer.from(envelope.iv, 'base64') }, cek, Buffer.from(envelope.ciphertext, 'base64'),
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function decrypt(privatePath, inputPath) {
+  const { kid, jwk } = JSON.parse(readFileSync(privatePath, 'utf8'));
+  const { key_ops: _ops, ext: _ext, ...keyData } = jwk;
+  const operator = { kid, key: await subtle.importKey('jwk', keyData, RSA_PARAMS, false, ['unwrapKey']) };
+
+  const input = JSON.parse(readFileSync(inputPath || 0, 'utf8'));
+  const entries = Array.isArray(input) ? input : Array.isArray(input.entries) ? input.entries : [input];
+
+  let failed = 0;
+  const output = await Promise.all(entries.map(async (entry) => {
+    if (!entry.encrypted) return entry;
+    const { encrypted, ...rest } = entry;
+    try {
+      return { ...rest, ...(await decryptEnvelope(encrypted, operator)) };
+    } catch (err) {
+      console.error(`entry ${entry.id}: ${err.message}`);
+      failed += 1;
+      return entry;
+    }
+  }));
+
+  const shaped = Array.isArray(input) ? output : Array.isArray(input.entries) ? { ...input, entries: output } : output[0];
+  console.log(JSON.stringify(shaped, null, 2));
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+const generatePath = argValue('--generate');
+const keyPath = argValue('--key');
+
+if (generatePath) {
+  await generate(generatePath);
+} else if (keyPath) {
+  const rest = process.argv.slice(2).filter((a, i, all) => a !== '--key' && all[i - 1] !== '--key');
+  await decrypt(keyPath, rest[0]);
+} else {
+  usage();
+}
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * entry-to-incident.mjs — Drafts an incidents.json card from an approved report entry.
+ *
+ * Reads a report entry as returned by GET /report/entries (either one entry,
+ * an array of entries, or the whole { entries: [...] } response) from a file
+ * or stdin, and prints one incident draft per entry, built by js/incident-draft.js
+ * (shared with the moderation console). The id and headline are left empty
+ * for the editor to write, and validate-data.mjs fails until they are.
+ *
+ *   node scripts/entry-to-incident.mjs entry.json
+ *   pbpaste | node scripts/entry-to-incident.mjs
+ *
+ * Entries encrypted in the browser must go through decrypt-entries.mjs first.
+ *
+ * Pipe the output through anonymise.mjs to replace personal details, paste it
+ * into data/incidents.json, edit, then run node scripts/validate-data.mjs.
+ */
+
+import { readFileSync } from 'node:fs';
+import { draftIncident } from '../js/incident-draft.js';
+
+function readInput(path) {
+  const text = readFileSync(path || 0, 'utf8');
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed.entries)) return parsed.entries;
+  return [parsed];
+}
+
+const entries = readInput(process.argv[2]);
+const drafts = entries.map(entry => draftIncident([entry]));
+console.log(JSON.stringify(drafts.length === 1 ? drafts[0] : drafts, null, 2));
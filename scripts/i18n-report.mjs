@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * i18n-report.mjs — Translation coverage report for lang/*.json.
+ *
+ * Compares every language listed in SUPPORTED (js/i18n.js) against
+ * lang/en.json and against the keys actually used — data-i18n /
+ * data-i18n-html attributes in the HTML pages and t('key') calls in js/ —
+ * and reports per language:
+ *   missing       keys in en.json with no translation (or no lang file at all)
+ *   extra         keys not present in en.json
+ *   untranslated  keys whose value is identical to the English text
+ * plus any used key that en.json does not define.
+ *
+ *   node scripts/i18n-report.mjs [--strict]
+ *
+ * With --strict, exits non-zero if anything is missing.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const strict = process.argv.includes('--strict');
+
+function readJson(rel) {
+  return JSON.parse(readFileSync(join(ROOT, rel), 'utf8'));
+}
+
+/**
+ * Flatten nested translation objects to { "section.key": "value" }.
+ */
+function flatten(obj, prefix = '', out = {}) {
+  Object.entries(obj).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') flatten(value, path, out);
+    else out[path] = value;
+  });
+  return out;
+}
+
+function supportedLanguages() {
+  const src = readFileSync(join(ROOT, 'js/i18n.js'), 'utf8');
+  const match = src.match(/const SUPPORTED = \[([^\]]*)\]/);
+  if (!match) throw new Error('Could not find SUPPORTED in js/i18n.js');
+  return [...match[1].matchAll(/'([^']+)'/g)].map(m => m[1]);
+}
+
+function collectKeys(keys, dir, ext, pattern) {
+  readdirSync(join(ROOT, dir)).filter(f => f.endsWith(ext)).sort().forEach(file => {
+    const rel = dir === '.' ? file : `${dir}/${file}`;
+    const src = readFileSync(join(ROOT, rel), 'utf8');
+    for (const [, key] of src.matchAll(pattern)) {
+      if (!keys.has(key)) keys.set(key, new Set());
+      keys.get(key).add(rel);
+    }
+  });
+}
+
+/**
+ * Map of key -> files using it, from data-i18n and data-i18n-html attributes
+ * in the pages and t('key') calls in js/.
+ */
+function usedKeys() {
+  const keys = new Map();
+  collectKeys(keys, '.', '.html', /data-i18n(?:-html)?="([^"]+)"/g);
+  collectKeys(keys, 'js', '.js', /\bt\('([^']+)'/g);
+  return keys;
+}
+
+function printList(label, items) {
+  console.log(`  ${label} (${items.length})`);
+  items.forEach(item => console.log(`    ${item}`));
+}
+
+const en = flatten(readJson('lang/en.json'));
+const enKeys = Object.keys(en);
+const used = usedKeys();
+let missingTotal = 0;
+
+const undefinedInEn = [...used.keys()].filter(k => !(k in en)).sort();
+const unused = enKeys.filter(k => !used.has(k)).sort();
+
+console.log(`en (lang/en.json): ${enKeys.length} keys, ${used.size} used`);
+if (undefinedInEn.length > 0) {
+  printList('used but missing from en.json', undefinedInEn.map(k => `${k}  [${[...used.get(k)].join(', ')}]`));
+  missingTotal += undefinedInEn.length;
+}
+if (unused.length > 0) {
+  printList('not used by any page or script', unused);
+}
+
+supportedLanguages().filter(lang => lang !== 'en').forEach(lang => {
+  const file = `lang/${lang}.json`;
+  console.log('');
+
+  if (!existsSync(join(ROOT, file))) {
+    console.log(`${lang} (${file}): no file — every key falls back to English`);
+    missingTotal += enKeys.length;
+    return;
+  }
+
+  const translated = flatten(readJson(file));
+  const missing = enKeys.filter(k => !(k in translated) || translated[k] === '');
+  const extra = Object.keys(translated).filter(k => !(k in en));
+  const untranslated = enKeys.filter(k => k in translated && translated[k] !== '' && translated[k] === en[k]);
+  const done = enKeys.length - missing.length - untranslated.length;
+
+  console.log(`${lang} (${file}): ${done}/${enKeys.length} translated (${Math.floor((done / enKeys.length) * 100)}%)`);
+  printList('missing', missing);
+  printList('extra', extra);
+  printList('untranslated', untranslated);
+  missingTotal += missing.length;
+});
+
+process.exit(strict && missingTotal > 0 ? 1 : 0);
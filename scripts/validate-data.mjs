@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * validate-data.mjs — Checks the hand-edited data files before they ship.
+ *
+ * Validates data/incidents.json, data/intelligence.json and
+ * data/account-recovery-flow.json against the JSON Schemas in schemas/, then
+ * runs the checks a schema cannot express: duplicate ids, impossible dates,
+ * missing screenshot files and [#label] references in intelligence notes that
+ * match no screenshot. Exits non-zero if anything is wrong.
+ *
+ *   node scripts/validate-data.mjs
+ *
+ * No dependencies: the schema validator below implements only the keywords
+ * our schemas use (type, enum, const, pattern, minLength, minimum, required,
+ * properties, additionalProperties, items, oneOf and local $ref).
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const FILES = [
+  { data: 'data/incidents.json', schema: 'schemas/incidents.schema.json', check: checkIncidents },
+  { data: 'data/intelligence.json', schema: 'schemas/intelligence.schema.json', check: checkIntelligence },
+  { data: 'data/account-recovery-flow.json', schema: 'schemas/account-recovery-flow.schema.json', check: checkFlowchart },
+];
+
+function readJson(rel) {
+  return JSON.parse(readFileSync(join(ROOT, rel), 'utf8'));
+}
+
+/**
+ * Stable short hex label — must match hashLabel() in js/intelligence.js.
+ */
+function hashLabel(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0').slice(0, 6);
+}
+
+// ── Schema validation ───────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate `value` against `schema`, returning a list of "path: message" errors.
+ */
+function validate(value, schema, root, path = '') {
+  if (schema.$ref) return validate(value, resolveRef(root, schema.$ref), root, path);
+
+  const at = path || '(root)';
+  const errors = [];
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(s => validate(value, s, root, path));
+    const passing = results.filter(r => r.length === 0).length;
+    if (passing === 1) return errors;
+    if (passing > 1) return [`${at}: matches more than one allowed shape`];
+    // Report the closest shape's errors rather than every branch's
+    return results.reduce((best, r) => (r.length < best.length ? r : best));
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${at}: missing required field "${key}"`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      const childPath = path ? `${path}.${key}` : key;
+      if (childSchema) {
+        errors.push(...validate(child, childSchema, root, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unknown field "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(child, schema.additionalProperties, root, childPath));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      // Name items by id where they have one, so errors deep in the tree are findable
+      const key = typeof item?.id === 'string' ? `${i}:${item.id}` : i;
+      errors.push(...validate(item, schema.items, root, `${path}[${key}]`));
+    });
+  }
+
+  return errors;
+}
+
+// ── Semantic checks ─────────────────────────────────────────────────
+
+/**
+ * Report an impossible calendar date ("2025-02-30", "2025-13"). Shape is
+ * already checked by the schema pattern, so malformed strings are skipped.
+ */
+function checkDate(errors, path, dateStr) {
+  if (typeof dateStr !== 'string') return;
+  const match = dateStr.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!match) return;
+  const [, y, m, d] = match.map(Number);
+  if (m && (m < 1 || m > 12)) {
+    errors.push(`${path}: invalid month in "${dateStr}"`);
+    return;
+  }
+  if (d) {
+    const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    if (d < 1 || d > daysInMonth) errors.push(`${path}: invalid day in "${dateStr}"`);
+  }
+}
+
+function checkDuplicates(errors, entries, what) {
+  const seen = new Map();
+  entries.forEach(({ id, path }) => {
+    if (seen.has(id)) {
+      errors.push(`${path}: duplicate ${what} "${id}" (first used at ${seen.get(id)})`);
+    } else {
+      seen.set(id, path);
+    }
+  });
+}
+
+function checkIncidents(data) {
+  const errors = [];
+  const incidents = Array.isArray(data.incidents) ? data.incidents : [];
+
+  checkDuplicates(errors, incidents.map((inc, i) => ({ id: inc.id, path: `incidents[${i}].id` })), 'incident id');
+
+  incidents.forEach((inc, i) => {
+    const base = `incidents[${i}]`;
+    checkDate(errors, `${base}.date`, inc.date);
+    (inc.timeline || []).forEach((event, j) => checkDate(errors, `${base}.timeline[${j}].date`, event.date));
+    (inc.sources || []).forEach((source, j) => checkDate(errors, `${base}.sources[${j}].date`, source.date));
+  });
+
+  return errors;
+}
+
+function checkIntelligence(data) {
+  const errors = [];
+  const items = Array.isArray(data.intelligence) ? data.intelligence : [];
+  const screenshots = items
+    .map((item, i) => ({ item, path: `intelligence[${i}]` }))
+    .filter(({ item }) => item.type !== 'note' && typeof item.image === 'string');
+
+  checkDuplicates(errors, screenshots.map(({ item, path }) => ({ id: item.image, path: `${path}.image` })), 'image');
+
+  screenshots.forEach(({ item, path }) => {
+    if (!existsSync(join(ROOT, 'img/intelligence', item.image))) {
+      errors.push(`${path}.image: file img/intelligence/${item.image} not found`);
+    }
+  });
+
+  const labels = new Set(screenshots.map(({ item }) => hashLabel(item.image)));
+
+  items.forEach((item, i) => {
+    checkDate(errors, `intelligence[${i}].date`, item.date);
+    if (item.type !== 'note' || !item.markdown) return;
+    const variants = typeof item.markdown === 'string' ? { '': item.markdown } : item.markdown;
+    Object.entries(variants).forEach(([lang, markdown]) => {
+      if (typeof markdown !== 'string') return;
+      const path = `intelligence[${i}].markdown${lang ? `.${lang}` : ''}`;
+      for (const [, label] of markdown.matchAll(/\[#([a-f0-9]{6})\]/g)) {
+        if (!labels.has(label)) errors.push(`${path}: [#${label}] does not match any screenshot`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function checkFlowchart(data) {
+  const errors = [];
+  const ids = [];
+
+  (function walk(node, path) {
+    if (!node || typeof node !== 'object') return;
+    ids.push({ id: node.id, path: `${path}.id` });
+    if (node.childMode && !Array.isArray(node.children)) {
+      errors.push(`${path}: has childMode "${node.childMode}" but no children`);
+    }
+    (node.children || []).forEach((child, i) => walk(child, `${path}.children[${i}]`));
+  })(data.root, 'root');
+
+  checkDuplicates(errors, ids, 'node id');
+  return errors;
+}
+
+// ── Main ────────────────────────────────────────────────────────────
+
+let failed = 0;
+
+for (const { data: dataPath, schema: schemaPath, check } of FILES) {
+  let data;
+  try {
+    data = readJson(dataPath);
+  } catch (err) {
+    console.error(`✗ ${dataPath}\n    ${err.message}`);
+    failed += 1;
+    continue;
+  }
+
+  const schema = readJson(schemaPath);
+  const errors = [...validate(data, schema, schema), ...check(data)];
+
+  if (errors.length === 0) {
+    console.log(`✓ ${dataPath}`);
+  } else {
+    console.error(`✗ ${dataPath} (${errors.length} problem${errors.length === 1 ? '' : 's'})`);
+    errors.forEach(e => console.error(`    ${e}`));
+    failed += 1;
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);